@@ -9,16 +9,28 @@ require('dotenv/config'); // Load environment variables from .env file
 const authJwt = require('./helpers/jwt')
 const errorHandler = require('./helpers/error-handler')
 const { swaggerUi, specs } = require('./swagger');
+const { getStorage } = require('./helpers/storage');
+const { startRecommendationRefresh } = require('./helpers/recommendations');
+const { localeMiddleware } = require('./helpers/locale');
 
 
 app.use(cors());
 app.options('*', cors())
 
 //middlewares
-app.use(bodyParser.json()); // Middleware to parse JSON bodies
+app.use(bodyParser.json({
+    // payment webhooks are verified against the exact bytes received
+    verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Middleware to parse JSON bodies
 app.use(morgan('tiny')); // Middleware to log HTTP requests in development mode
 app.use(authJwt());
-app.use('/public/uploads', express.static(__dirname + '/public/uploads'));
+app.use(authJwt.optionalUser());
+app.use(localeMiddleware());
+const storage = getStorage();
+if (storage.driver.name === 'local') {
+    // other drivers serve uploads themselves, see STORAGE_PUBLIC_URL
+    app.use('/public/uploads', express.static(storage.driver.directory));
+}
 app.use(errorHandler);
 
 // Swagger UI
@@ -29,12 +41,32 @@ const categoriesRoutes = require('./routes/categories');
 const productsRoutes = require('./routes/products');
 const usersRoutes = require('./routes/users');
 const ordersRoutes = require('./routes/orders');
+const reviewsRoutes = require('./routes/reviews');
+const uploadsRoutes = require('./routes/uploads');
+const catalogRoutes = require('./routes/catalog');
+const inventoryRoutes = require('./routes/inventory');
+const wishlistRoutes = require('./routes/wishlist');
+const cartRoutes = require('./routes/cart');
+const couponsRoutes = require('./routes/coupons');
+const taxRulesRoutes = require('./routes/tax-rules');
+const shippingZonesRoutes = require('./routes/shipping-zones');
+const paymentsRoutes = require('./routes/payments');
 
 const api = process.env.API_URL;
 app.use(`${api}/categories`, categoriesRoutes);
 app.use(`${api}/products`, productsRoutes);
+app.use(`${api}/users/me/wishlist`, wishlistRoutes);
 app.use(`${api}/users`, usersRoutes);
 app.use(`${api}/orders`, ordersRoutes);
+app.use(`${api}/reviews`, reviewsRoutes);
+app.use(`${api}/uploads`, uploadsRoutes);
+app.use(`${api}/catalog`, catalogRoutes);
+app.use(`${api}/inventory`, inventoryRoutes);
+app.use(`${api}/cart`, cartRoutes);
+app.use(`${api}/coupons`, couponsRoutes);
+app.use(`${api}/tax-rules`, taxRulesRoutes);
+app.use(`${api}/shipping-zones`, shippingZonesRoutes);
+app.use(`${api}/payments`, paymentsRoutes);
 
 // Connect to MongoDB using Mongoose
 mongoose.connect(process.env.CONNECT_STRING,
@@ -46,6 +78,7 @@ mongoose.connect(process.env.CONNECT_STRING,
 )
 .then(() => {
     console.log('Connected to MongoDB');
+    startRecommendationRefresh();
 }
 ).catch((err) => {
     console.error('Failed to connect to MongoDB', err);
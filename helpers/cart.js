@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { Cart } = require('../models/cart');
+const { Product } = require('../models/product');
+const money = require('./money');
+const { translatedFields } = require('./locale');
+
+// Guests are told their cart token when the cart is created and send it back
+// in the X-Cart-Token header. Signed-in users have one cart; a guest cart
+// sent along by a signed-in user is merged into it.
+
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+function newCartToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Move the lines of the guest cart `token` into the cart of `userId`, adding
+ * up quantities of the same product and variant. The guest cart is removed.
+ */
+async function mergeGuestCart(token, userId) {
+    if (!token || !userId) return null;
+    // only one request gets to take the guest cart
+    const guest = await Cart.findOneAndDelete({ token: String(token), user: { $exists: false } });
+    if (!guest || !guest.items.length) return null;
+
+    const cart = await Cart.findOne({ user: userId }) || new Cart({ user: userId });
+    guest.items.forEach(item => {
+        const line = cart.findLine(item.product, item.variant);
+        if (line) line.quantity += item.quantity;
+        else cart.items.push(item.toObject());
+    });
+    return cart.save();
+}
+
+/**
+ * The cart of a request: the signed-in user's, or the guest cart of the
+ * X-Cart-Token header. With `create`, an empty (unsaved) cart is returned
+ * when there is none yet, with a new token for guests.
+ */
+async function loadCart(req, { create } = {}) {
+    const token = req.get(CART_TOKEN_HEADER);
+    if (req.user && req.user.userId) {
+        if (token) await mergeGuestCart(token, req.user.userId);
+        const cart = await Cart.findOne({ user: req.user.userId });
+        return cart || (create ? new Cart({ user: req.user.userId }) : null);
+    }
+    const cart = token ? await Cart.findOne({ token: String(token) }) : null;
+    return cart || (create ? new Cart({ token: newCartToken() }) : null);
+}
+
+function emptyCartView() {
+    return { items: [], itemCount: 0, subtotal: 0, currency: money.DEFAULT_CURRENCY, warnings: [], canCheckout: false };
+}
+
+/**
+ * The cart as shown to the client: every line with the product's current
+ * price and stock, warnings for lines that cannot be ordered as they are,
+ * and the subtotal of the lines that can.
+ */
+async function presentCart(cart, locale) {
+    if (!cart) return emptyCartView();
+
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    const items = cart.items.map(item => {
+        const product = byId.get(String(item.product));
+        const line = { id: item.id, product: { id: String(item.product) }, variant: item.variant, quantity: item.quantity, warnings: [] };
+        if (!product || !product.isLive()) {
+            line.warnings.push('product is no longer available');
+            return { ...line, available: false };
+        }
+        line.product = {
+            id: product.id,
+            name: product.name,
+            slug: product.slug,
+            image: product.image,
+            ...translatedFields(product, locale, ['name'])
+        };
+
+        const variant = item.variant ? product.findVariant(item.variant) : null;
+        if (product.variants.length && !variant) {
+            line.warnings.push('this variant is no longer available');
+            return { ...line, available: false };
+        }
+        const stock = variant ? variant.countInStock : product.countInStock;
+        const unitPrice = variant ? variant.price : product.price;
+        if (stock === 0) line.warnings.push('out of stock');
+        else if (stock < item.quantity) line.warnings.push(`only ${stock} in stock`);
+        if (item.unitPrice !== undefined && item.unitPrice !== null && item.unitPrice !== unitPrice) {
+            line.warnings.push(`price changed from ${money.format(item.unitPrice, product.currency)} to ${money.format(unitPrice, product.currency)}`);
+        }
+        return {
+            ...line,
+            sku: variant ? variant.sku : product.sku,
+            options: variant ? Object.fromEntries(variant.options) : undefined,
+            unitPrice,
+            currency: product.currency,
+            lineTotal: money.multiply(unitPrice, item.quantity),
+            inStock: stock,
+            available: stock >= item.quantity
+        };
+    });
+
+    const warnings = [];
+    const currencies = [...new Set(items.filter(item => item.currency).map(item => item.currency))];
+    if (currencies.length > 1) {
+        warnings.push(`items are priced in ${currencies.join(' and ')} and cannot be ordered together`);
+    }
+    const currency = currencies[0] || money.DEFAULT_CURRENCY;
+    const orderable = items.filter(item => item.available && item.currency === currency);
+
+    return {
+        id: cart.isNew ? undefined : cart.id,
+        token: cart.token,
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: orderable.length ? money.add(...orderable.map(item => item.lineTotal)) : 0,
+        currency,
+        warnings,
+        canCheckout: items.length > 0 && currencies.length === 1 && items.every(item => item.available)
+    };
+}
+
+module.exports = {
+    CART_TOKEN_HEADER,
+    mergeGuestCart,
+    loadCart,
+    presentCart
+};
@@ -0,0 +1,279 @@
+const { Product } = require('../models/product');
+const { releaseFiles } = require('./product-files');
+const { moveStock, recordInitialStock } = require('./stock');
+const { loadCategoryTree } = require('./category-tree');
+const { checkAttributeValues } = require('./product-attributes');
+const { snapshotOf, recordRevision } = require('./product-history');
+
+// Columns of the catalog spreadsheet. Prices are integer minor units, the
+// category is referenced by name, gallery images are separated by "|" and
+// attributes are a JSON object.
+const CSV_COLUMNS = [
+    'sku',
+    'slug',
+    'name',
+    'description',
+    'richDescription',
+    'brand',
+    'price',
+    'currency',
+    'category',
+    'countInStock',
+    'weight',
+    'isFeatured',
+    'status',
+    'image',
+    'images',
+    'attributes'
+];
+
+const IMAGE_SEPARATOR = '|';
+
+/**
+ * Flatten a product (with populated category) into a spreadsheet row.
+ */
+function toCsvRecord(product) {
+    return {
+        sku: product.sku,
+        slug: product.slug,
+        name: product.name,
+        description: product.description,
+        richDescription: product.richDescription,
+        brand: product.brand,
+        price: product.price,
+        currency: product.currency,
+        category: product.category ? product.category.name : '',
+        countInStock: product.countInStock,
+        weight: product.weight,
+        isFeatured: product.isFeatured,
+        status: product.status,
+        image: product.image,
+        images: (product.images || []).join(IMAGE_SEPARATOR),
+        attributes: product.attributes && product.attributes.size ? JSON.stringify(Object.fromEntries(product.attributes)) : ''
+    };
+}
+
+function categoriesByName(tree) {
+    return new Map(tree.categories.map(category => [category.name.trim().toLowerCase(), category]));
+}
+
+function parseInteger(value, column, errors) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        errors.push(`${column} must be an integer`);
+        return undefined;
+    }
+    return number;
+}
+
+function parseBooleanCell(value, column, errors) {
+    const text = value.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return true;
+    if (['false', '0', 'no'].includes(text)) return false;
+    errors.push(`${column} must be true or false`);
+    return undefined;
+}
+
+/**
+ * Turn a spreadsheet record into product fields. Blank cells are left out so
+ * that updates keep the current value.
+ */
+function toProductFields(record, categories, errors) {
+    const fields = {};
+    const cell = column => (record[column] === undefined ? '' : String(record[column]).trim());
+
+    ['sku', 'slug', 'name', 'description', 'richDescription', 'brand', 'currency', 'status', 'image'].forEach(column => {
+        if (cell(column) !== '') fields[column] = cell(column);
+    });
+    if (cell('price') !== '') fields.price = parseInteger(cell('price'), 'price', errors);
+    if (cell('countInStock') !== '') fields.countInStock = parseInteger(cell('countInStock'), 'countInStock', errors);
+    if (cell('weight') !== '') fields.weight = parseInteger(cell('weight'), 'weight', errors);
+    if (cell('isFeatured') !== '') fields.isFeatured = parseBooleanCell(cell('isFeatured'), 'isFeatured', errors);
+    if (cell('images') !== '') {
+        fields.images = cell('images').split(IMAGE_SEPARATOR).map(url => url.trim()).filter(Boolean);
+    }
+    if (cell('category') !== '') {
+        const category = categories.get(cell('category').toLowerCase());
+        if (category) fields.category = category._id;
+        else errors.push(`unknown category ${cell('category')}`);
+    }
+    if (cell('attributes') !== '') {
+        try {
+            fields.attributes = JSON.parse(cell('attributes'));
+        } catch (err) {
+            errors.push('attributes must be a JSON object');
+        }
+    }
+    return fields;
+}
+
+function validationMessages(err) {
+    if (err.code === 11000) return ['sku or slug is already used by another product'];
+    if (err.errors) return Object.values(err.errors).map(error => error.message);
+    return [err.message];
+}
+
+// sku and slug are unique, which validate() does not check: look for other
+// rows of the file and other products that already have them
+async function identityCollisions(doc, row, claimed) {
+    const errors = [];
+    for (const field of ['sku', 'slug']) {
+        const value = doc[field];
+        if (!value) continue;
+        const claimedBy = claimed[field].get(value);
+        if (claimedBy !== undefined && claimedBy !== row.row) {
+            errors.push(`${field} ${value} is also used by row ${claimedBy}`);
+            continue;
+        }
+        claimed[field].set(value, row.row);
+        if (await Product.exists({ [field]: value, _id: { $ne: doc._id } }))
+            errors.push(`${field} ${value} belongs to another product`);
+    }
+    return errors;
+}
+
+/**
+ * Create or update products from spreadsheet records, matching existing
+ * products by sku, then slug. Every row is validated first; nothing is
+ * written if any row fails or when `dryRun` is set. A new countInStock on an
+ * existing product is recorded as an inventory adjustment by `user`. Should
+ * a save still fail, the rows before it stay written and the rest are
+ * skipped.
+ *
+ * Resolves to { dryRun, applied, summary: { created, updated, unchanged,
+ * failed }, rows: [{ row, action, sku, slug, errors, warnings? }] }, where `row` is the
+ * spreadsheet line number (the header is line 1) and `action` is create,
+ * update, unchanged or skipped.
+ */
+async function importProducts(records, { dryRun, user }) {
+    const tree = await loadCategoryTree();
+    const categories = categoriesByName(tree);
+    const seen = new Set();
+    const claimed = { sku: new Map(), slug: new Map() };
+    const rows = [];
+    const pending = [];
+
+    for (const [index, record] of records.entries()) {
+        const errors = [];
+        const fields = toProductFields(record, categories, errors);
+        const row = { row: index + 2, sku: fields.sku, slug: fields.slug, errors };
+        rows.push(row);
+
+        if (!fields.sku && !fields.slug) {
+            errors.push('sku or slug is required');
+            continue;
+        }
+        const identity = fields.sku ? `sku:${fields.sku}` : `slug:${fields.slug.toLowerCase()}`;
+        if (seen.has(identity)) {
+            errors.push(`duplicate ${identity} in file`);
+            continue;
+        }
+        seen.add(identity);
+
+        const product = (fields.sku && await Product.findOne({ sku: fields.sku }))
+            || (fields.slug && await Product.findOne({ slug: fields.slug.toLowerCase() }))
+            || null;
+        const doc = product || new Product();
+        const previousFiles = product ? product.fileUrls() : new Set();
+        const before = product ? snapshotOf(product) : null;
+        if (fields.images && product) {
+            // gallery entries that stay keep their renditions
+            const known = new Map(product.galleryEntries().map(entry => [entry.url, entry.renditions]));
+            doc.setGallery(fields.images.map(url => ({ url, renditions: known.get(url) })));
+            delete fields.images;
+        }
+        if (fields.image !== undefined && product && fields.image !== product.image) {
+            doc.imageRenditions = undefined;
+        }
+        // values are checked against the category the product ends up in
+        const category = fields.category || (product && product.category);
+        if (fields.attributes !== undefined || (product && fields.category && String(fields.category) !== String(product.category))) {
+            const checked = checkAttributeValues(
+                fields.attributes !== undefined ? fields.attributes : product.attributes,
+                tree.attributeDefinitions(category)
+            );
+            errors.push(...checked.errors);
+            fields.attributes = checked.values;
+        } else if (!product && category) {
+            errors.push(...checkAttributeValues({}, tree.attributeDefinitions(category)).errors);
+        }
+        if (errors.length) continue;
+
+        // existing stock only changes through the inventory ledger
+        let stockChange = 0;
+        if (product && fields.countInStock !== undefined) {
+            stockChange = fields.countInStock - product.countInStock;
+            delete fields.countInStock;
+            if (stockChange && product.variants.length) {
+                errors.push('stock of a product with variants is set per variant');
+                continue;
+            }
+        }
+        doc.set(fields);
+
+        try {
+            await doc.validate();
+        } catch (err) {
+            errors.push(...validationMessages(err));
+            continue;
+        }
+        errors.push(...await identityCollisions(doc, row, claimed));
+        if (errors.length) continue;
+        row.action = !product ? 'create' : (doc.isModified() || stockChange ? 'update' : 'unchanged');
+        pending.push({ doc, row, previousFiles, before, stockChange });
+    }
+
+    let applied = !dryRun && rows.every(row => !row.errors.length);
+
+    if (applied) {
+        for (const [index, { doc, row, previousFiles, before, stockChange }] of pending.entries()) {
+            if (row.action === 'unchanged') continue;
+            try {
+                await doc.save();
+            } catch (err) {
+                // only a concurrent change gets here; the rows before are already written
+                row.errors.push(...validationMessages(err));
+                pending.slice(index + 1).forEach(({ row: later }) => {
+                    later.warnings = [`not imported, row ${row.row} failed to save`];
+                    later.action = 'skipped';
+                });
+                applied = false;
+                break;
+            }
+            if (row.action === 'create') {
+                await recordInitialStock(doc, user);
+            } else if (stockChange) {
+                const movement = await moveStock({
+                    product: doc._id,
+                    quantity: stockChange,
+                    type: 'adjustment',
+                    reason: 'catalog import',
+                    user
+                });
+                if (!movement) row.warnings = ['stock changed during the import, countInStock was not applied'];
+            }
+            await releaseFiles(previousFiles, doc.fileUrls(), doc._id);
+            await recordRevision(doc, row.action, { user, before });
+        }
+    }
+
+    const failed = rows.filter(row => row.errors.length).length;
+    const count = action => rows.filter(row => row.action === action && !row.errors.length).length;
+    return {
+        dryRun: Boolean(dryRun),
+        applied,
+        summary: {
+            created: count('create'),
+            updated: count('update'),
+            unchanged: count('unchanged'),
+            failed
+        },
+        rows
+    };
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    toCsvRecord,
+    importProducts
+};
@@ -0,0 +1,107 @@
+const { Category } = require('../models/category');
+const { CATEGORY_FIELDS, translatedFields, localizeCategory, localizeProduct } = require('./locale');
+
+// Categories form a tree through their `parent`. There are few of them, so
+// every lookup works on the whole set loaded in one query.
+
+/**
+ * Build tree lookups over a list of category documents. A category whose
+ * parent no longer exists is treated as top-level.
+ */
+function buildCategoryTree(categories) {
+    const byId = new Map(categories.map(category => [String(category._id), category]));
+    const parentOf = category => (category.parent && byId.has(String(category.parent)) ? String(category.parent) : null);
+
+    const children = new Map();
+    categories.forEach(category => {
+        const parent = parentOf(category);
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(category);
+    });
+
+    function get(id) {
+        return id ? byId.get(String(id)) || null : null;
+    }
+
+    function nameIn(category, locale) {
+        return translatedFields(category, locale, CATEGORY_FIELDS).name || category.name;
+    }
+
+    /**
+     * Path from the top-level category down to `id`: [{ id, name }], with
+     * names in `locale`.
+     */
+    function breadcrumb(id, locale) {
+        const path = [];
+        const seen = new Set();
+        let category = get(id);
+        while (category && !seen.has(String(category._id))) {
+            seen.add(String(category._id));
+            path.unshift({ id: String(category._id), name: nameIn(category, locale) });
+            category = get(parentOf(category));
+        }
+        return path;
+    }
+
+    /**
+     * Ids of `id` and every category below it.
+     */
+    function descendantIds(id) {
+        const ids = new Set();
+        const pending = [String(id)];
+        while (pending.length) {
+            const current = pending.pop();
+            if (ids.has(current)) continue;
+            ids.add(current);
+            (children.get(current) || []).forEach(child => pending.push(String(child._id)));
+        }
+        return [...ids];
+    }
+
+    /**
+     * Attribute definitions products of `id` carry: those of the category and
+     * of its parents. A subcategory's definition replaces a parent's one of
+     * the same name.
+     */
+    function attributeDefinitions(id) {
+        const definitions = new Map();
+        breadcrumb(id).forEach(({ id: pathId }) => {
+            (get(pathId).attributes || []).forEach(definition => definitions.set(definition.name, definition));
+        });
+        return [...definitions.values()];
+    }
+
+    /**
+     * Nested categories in `locale`, each with its `children`, sorted by name.
+     */
+    function nest(locale) {
+        const level = parent => (children.get(parent) || [])
+            .map(category => ({
+                ...localizeCategory(category, locale),
+                children: level(String(category._id))
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name, locale));
+        return level(null);
+    }
+
+    return { categories, get, breadcrumb, descendantIds, attributeDefinitions, nest };
+}
+
+async function loadCategoryTree() {
+    return buildCategoryTree(await Category.find());
+}
+
+/**
+ * JSON of a product in `locale` with the breadcrumb of its category, whether
+ * or not the category is populated.
+ */
+function withBreadcrumb(product, tree, locale) {
+    const category = product.category && product.category._id ? product.category._id : product.category;
+    return { ...localizeProduct(product, locale), breadcrumb: tree.breadcrumb(category, locale) };
+}
+
+module.exports = {
+    buildCategoryTree,
+    loadCategoryTree,
+    withBreadcrumb
+};
@@ -0,0 +1,167 @@
+const { TaxRule } = require('../models/tax-rule');
+const { ShippingZone } = require('../models/shipping-zone');
+const money = require('./money');
+const { loadCategoryTree } = require('./category-tree');
+
+// Prices are before tax. Each line is taxed by the single most specific
+// matching rule: one for the region beats one for the whole country, and a
+// rule for the line's category beats one for a parent category or for all
+// products. Shipping comes from the most specific zone covering the address;
+// a store without any shipping zone does not charge shipping.
+
+function normalizePlace(value) {
+    return String(value || '').trim().toUpperCase();
+}
+
+function lineWeight(line) {
+    const weight = line.variant && line.variant.weight !== null && line.variant.weight !== undefined
+        ? line.variant.weight
+        : line.product.weight || 0;
+    return weight * line.quantity;
+}
+
+/**
+ * Pick the shipping zone of an address among `zones`: one listing the
+ * region first, then one listing the country, then a zone without
+ * countries. Older zones win ties.
+ */
+function findShippingZone(zones, country, region) {
+    const score = zone => {
+        if (!zone.countries.length) return 0;
+        if (!zone.countries.includes(country)) return -1;
+        if (!zone.regions.length) return 1;
+        return zone.regions.includes(region) ? 2 : -1;
+    };
+    return zones
+        .map(zone => ({ zone, score: score(zone) }))
+        .filter(candidate => candidate.score >= 0)
+        .sort((a, b) => b.score - a.score || a.zone.dateCreated - b.zone.dateCreated)
+        .map(candidate => candidate.zone)[0] || null;
+}
+
+async function quoteShipping(lines, { country, region, currency, orderValue, freeShipping }) {
+    const zones = await ShippingZone.find({ isActive: true });
+    if (!zones.length) return { shipping: null };
+
+    const zone = findShippingZone(zones.filter(candidate => candidate.currency === currency), country, region);
+    if (!zone)
+        return { error: `no shipping to ${[region, country].filter(Boolean).join(', ')} for orders in ${currency}` };
+
+    const measure = zone.basis === 'weight' ? lines.reduce((sum, line) => sum + lineWeight(line), 0) : orderValue;
+    const rate = zone.rateFor(measure);
+    if (!rate)
+        return { error: `no shipping rate of ${zone.name} for this order` };
+    return {
+        shipping: {
+            zone: zone._id,
+            name: zone.name,
+            basis: zone.basis,
+            measure,
+            price: rate.price,
+            freeShipping: Boolean(freeShipping),
+            amount: freeShipping ? 0 : rate.price
+        }
+    };
+}
+
+// the rule that taxes a line of `category`, see the comment at the top
+function taxRuleFinder(rules, region, tree) {
+    const applicable = rules.filter(rule => !rule.region || rule.region === region);
+    const depth = rule => (rule.category ? tree.breadcrumb(rule.category).length : 0);
+    const covers = (rule, category) => !rule.category
+        || Boolean(category && tree.descendantIds(rule.category).includes(String(category)));
+
+    return category => applicable
+        .filter(rule => covers(rule, category))
+        .sort((a, b) => Boolean(b.region) - Boolean(a.region) || depth(b) - depth(a) || a.dateCreated - b.dateCreated)[0] || null;
+}
+
+/**
+ * Work out the totals of resolved order `lines` ({ product, variant,
+ * quantity, unitPrice }) shipped to `address` ({ country, region }) in
+ * `currency`, after the coupon `discount` (see helpers/coupons), if any.
+ *
+ * Resolves to { quote } or { error } when the address cannot be shipped to.
+ * The quote has the lines with their discount and tax rate, subtotal,
+ * discountTotal, shipping (null when the store does not charge shipping),
+ * shippingTotal, taxes (one entry per rule applied), taxTotal and grandTotal.
+ */
+async function quoteOrder(lines, address, { currency, discount }) {
+    const country = normalizePlace(address.country);
+    const region = normalizePlace(address.region);
+    if (!country)
+        return { error: 'country is required' };
+
+    const discountByLine = new Map((discount ? discount.lines : []).map(line => [line.index, line.amount]));
+    const quoted = lines.map((line, index) => {
+        const total = money.multiply(line.unitPrice, line.quantity);
+        const lineDiscount = discountByLine.get(index) || 0;
+        return {
+            index,
+            product: line.product._id,
+            variant: line.variant ? line.variant._id : undefined,
+            sku: line.variant ? line.variant.sku : line.product.sku,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            total,
+            discount: lineDiscount,
+            net: money.subtract(total, lineDiscount)
+        };
+    });
+    const subtotal = money.add(...quoted.map(line => line.total));
+    const discountTotal = discount ? discount.amount : 0;
+
+    const shipping = await quoteShipping(lines, {
+        country,
+        region,
+        currency,
+        orderValue: money.subtract(subtotal, discountTotal),
+        freeShipping: discount && discount.freeShipping
+    });
+    if (shipping.error)
+        return { error: shipping.error };
+    const shippingTotal = shipping.shipping ? shipping.shipping.amount : 0;
+
+    const rules = await TaxRule.find({ isActive: true, country });
+    const tree = rules.some(rule => rule.category) ? await loadCategoryTree() : null;
+    const findRule = taxRuleFinder(rules, region, tree);
+
+    const taxed = new Map();
+    const taxable = (rule, amount) => {
+        const key = String(rule._id);
+        if (!taxed.has(key)) taxed.set(key, { rule: rule._id, name: rule.name, rate: rule.rate, taxable: 0 });
+        taxed.get(key).taxable += amount;
+    };
+    quoted.forEach((line, index) => {
+        const rule = findRule(lines[index].product.category);
+        line.taxRate = rule ? rule.rate : 0;
+        line.taxName = rule ? rule.name : undefined;
+        if (rule) taxable(rule, line.net);
+    });
+    const shippingRule = findRule(null);
+    if (shippingTotal && shippingRule && shippingRule.appliesToShipping) taxable(shippingRule, shippingTotal);
+
+    // rounded once per rule rather than per line
+    const taxes = [...taxed.values()].map(entry => ({ ...entry, amount: money.percentage(entry.taxable, entry.rate) }));
+    const taxTotal = money.add(...taxes.map(entry => entry.amount));
+
+    return {
+        quote: {
+            currency,
+            lines: quoted,
+            subtotal,
+            discountTotal,
+            shipping: shipping.shipping,
+            shippingTotal,
+            taxes,
+            taxTotal,
+            grandTotal: money.add(money.subtract(subtotal, discountTotal), shippingTotal, taxTotal)
+        }
+    };
+}
+
+module.exports = {
+    normalizePlace,
+    findShippingZone,
+    quoteOrder
+};
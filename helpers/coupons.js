@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { Coupon } = require('../models/coupon');
+const { CouponRedemption } = require('../models/coupon-redemption');
+const money = require('./money');
+const { loadCategoryTree } = require('./category-tree');
+
+// A coupon is checked against the resolved lines of an order before anything
+// is written, then redeemed for the order. Limits are enforced when redeeming
+// so two orders racing for the last use cannot both get it.
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// predicate telling whether an order line is in the coupon's scope
+async function scopeMatcher(scope) {
+    const products = new Set((scope.products || []).map(String));
+    const brands = new Set((scope.brands || []).map(brand => brand.trim().toLowerCase()));
+    const categories = new Set();
+    if (scope.categories && scope.categories.length) {
+        const tree = await loadCategoryTree();
+        scope.categories.forEach(id => tree.descendantIds(id).forEach(category => categories.add(category)));
+    }
+    if (!products.size && !brands.size && !categories.size) return () => true;
+
+    return ({ product }) => products.has(String(product._id))
+        || Boolean(product.category && categories.has(String(product.category._id || product.category)))
+        || Boolean(product.brand && brands.has(product.brand.trim().toLowerCase()));
+}
+
+// split `amount` over lines in proportion to their totals, in whole minor units
+function spread(amount, totals) {
+    const sum = totals.reduce((a, b) => a + b, 0);
+    // nothing to take the amount off, e.g. free products
+    if (sum <= 0 || amount <= 0) return totals.map(() => 0);
+    const shares = totals.map(total => Math.floor(amount * total / sum));
+    let left = amount - shares.reduce((a, b) => a + b, 0);
+    const largest = totals.map((total, index) => index).sort((a, b) => totals[b] - totals[a]);
+    for (let i = 0; left > 0; i = (i + 1) % largest.length, left--) shares[largest[i]]++;
+    return shares;
+}
+
+/**
+ * Check `coupon` against an order of resolved `lines` ({ product, variant,
+ * quantity, unitPrice }, product documents) in `currency` placed for `user`.
+ * Resolves to { discount } with the breakdown to record on the order, or
+ * { error } saying why the coupon cannot be used.
+ */
+async function evaluateCoupon(coupon, lines, { currency, user, now = new Date() }) {
+    if (user && !mongoose.isValidObjectId(user))
+        return { error: 'Invalid User Id' };
+    if (!coupon.isActive)
+        return { error: `coupon ${coupon.code} is not active` };
+    if (coupon.startsAt && coupon.startsAt > now)
+        return { error: `coupon ${coupon.code} is not valid yet` };
+    if (coupon.endsAt && coupon.endsAt <= now)
+        return { error: `coupon ${coupon.code} has expired` };
+    if (coupon.maxUses && coupon.usedCount >= coupon.maxUses)
+        return { error: `coupon ${coupon.code} has been used up` };
+    if (coupon.maxUsesPerUser) {
+        if (!user)
+            return { error: `coupon ${coupon.code} needs an order placed for a user` };
+        const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user });
+        if (used >= coupon.maxUsesPerUser)
+            return { error: `coupon ${coupon.code} has already been used by this user` };
+    }
+    if ((coupon.type === 'fixed' || coupon.minOrderValue) && coupon.currency !== currency)
+        return { error: `coupon ${coupon.code} is only valid for orders in ${coupon.currency}` };
+
+    const totals = lines.map(line => money.multiply(line.unitPrice, line.quantity));
+    const subtotal = money.add(...totals);
+    if (subtotal < coupon.minOrderValue)
+        return { error: `coupon ${coupon.code} needs an order of at least ${money.format(coupon.minOrderValue, currency)}` };
+
+    const inScope = await scopeMatcher(coupon.scope || {});
+    const eligible = lines.map((line, index) => index).filter(index => inScope(lines[index]));
+    if (!eligible.length)
+        return { error: `coupon ${coupon.code} does not apply to any item of the order` };
+
+    let amounts = eligible.map(() => 0);
+    if (coupon.type === 'percentage') {
+        amounts = eligible.map(index => money.percentage(totals[index], coupon.value));
+    } else if (coupon.type === 'fixed') {
+        const eligibleTotals = eligible.map(index => totals[index]);
+        amounts = spread(Math.min(coupon.value, money.add(...eligibleTotals)), eligibleTotals);
+    }
+
+    return {
+        discount: {
+            coupon: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            value: coupon.value,
+            amount: money.add(...amounts),
+            freeShipping: coupon.type === 'free_shipping',
+            lines: eligible.map((index, i) => ({
+                index,
+                product: lines[index].product._id,
+                variant: lines[index].variant ? lines[index].variant._id : undefined,
+                amount: amounts[i]
+            }))
+        }
+    };
+}
+
+/**
+ * Look up a code and check it against an order, see evaluateCoupon.
+ */
+async function applyCouponCode(code, lines, options) {
+    const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+    if (!coupon)
+        return { error: `unknown coupon ${normalizeCode(code)}` };
+    return evaluateCoupon(coupon, lines, options);
+}
+
+/**
+ * Use up one redemption of the coupon of `discount` for `order`. Resolves to
+ * false when the code ran out of uses (in total or for `user`) meanwhile.
+ */
+async function redeemCoupon(discount, { user, order }) {
+    const coupon = await Coupon.findOneAndUpdate(
+        {
+            _id: discount.coupon,
+            isActive: true,
+            $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+    if (!coupon) return false;
+
+    const redemption = await CouponRedemption.create({
+        coupon: coupon._id, code: coupon.code, user, order, amount: discount.amount
+    });
+    if (coupon.maxUsesPerUser && user) {
+        // counted after writing ours, so of two racing orders neither can sneak past the limit
+        const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user });
+        if (used > coupon.maxUsesPerUser) {
+            await releaseCoupons(order, [redemption._id]);
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Give back the coupon uses of an order, e.g. when it is cancelled. Pass
+ * `ids` to only give back some redemptions.
+ */
+async function releaseCoupons(order, ids) {
+    const filter = { order };
+    if (ids) filter._id = { $in: ids };
+    const redemptions = await CouponRedemption.find(filter);
+    await Promise.all(redemptions.map(async redemption => {
+        // only the request that removes the redemption gives the use back
+        const removed = await CouponRedemption.findOneAndDelete({ _id: redemption._id });
+        if (removed) await Coupon.updateOne({ _id: removed.coupon }, { $inc: { usedCount: -1 } });
+    }));
+}
+
+module.exports = {
+    normalizeCode,
+    evaluateCoupon,
+    applyCouponCode,
+    redeemCoupon,
+    releaseCoupons
+};
@@ -0,0 +1,97 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, fields quoted
+// with double quotes when they contain a comma, quote or line break.
+//
+// Spreadsheets run cells starting with =, +, - or @ as formulas, so written
+// text cells starting with one get a ' in front, which reading strips again.
+// Text already starting with ' gets one too, so reading never eats its own.
+
+const ESCAPED_START = /^[=+\-@\t\r']/;
+
+/**
+ * Parse CSV text into an array of rows, each an array of strings.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    // strip a UTF-8 BOM, spreadsheet exports often start with one
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    // blank lines are not records
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * Parse CSV text whose first row is a header into objects keyed by column.
+ */
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { columns: [], records: [] };
+    const columns = header.map(column => column.trim());
+    const records = rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            const cell = cells[index] !== undefined ? cells[index] : '';
+            record[column] = cell.startsWith("'") && ESCAPED_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+        });
+        return record;
+    });
+    return { columns, records };
+}
+
+function escapeField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && ESCAPED_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV using `columns` as header and field order.
+ */
+function stringifyCsv(columns, records) {
+    const lines = [columns.map(escapeField).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => escapeField(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    stringifyCsv
+};
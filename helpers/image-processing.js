@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Every uploaded product image is decoded and re-encoded into these sizes
+// (longest edge, in pixels), once in its own format and once as WebP.
+const RENDITIONS = {
+    thumbnail: 150,
+    medium: 600,
+    large: 1200
+};
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// storage keys written by saveImageRenditions; keys from before the random
+// part was added lack it
+const RENDITION_KEY = new RegExp(
+    `^[a-z0-9-]+-\\d+(?:-[0-9a-f]{8})?-(?:${Object.keys(RENDITIONS).join('|')})\\.(?:jpg|png|webp)$`
+);
+
+function isRenditionKey(key) {
+    return RENDITION_KEY.test(key);
+}
+
+/**
+ * Decode and validate an uploaded image. Rejects with an Error named
+ * 'ImageError' if the buffer is not a supported, readable image.
+ */
+async function readImage(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        throw imageError('The uploaded file is not a valid image');
+    }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw imageError(`Unsupported image format ${metadata.format}`);
+    }
+    return metadata;
+}
+
+function imageError(message) {
+    const err = new Error(message);
+    err.name = 'ImageError';
+    return err;
+}
+
+/**
+ * Produce every rendition of an image as buffers. The returned list has one
+ * entry per rendition: { size, format, fileName, buffer }.
+ */
+async function renderImage(buffer, baseName) {
+    const metadata = await readImage(buffer);
+    // png keeps its transparency, everything else becomes jpeg
+    const format = metadata.format === 'png' ? 'png' : 'jpeg';
+    // the random part keeps same-named files uploaded together apart
+    const stamp = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const jobs = [];
+    Object.entries(RENDITIONS).forEach(([size, width]) => {
+        [format, 'webp'].forEach(outFormat => {
+            jobs.push(
+                sharp(buffer)
+                    .rotate() // apply EXIF orientation before it is stripped
+                    .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+                    .toFormat(outFormat)
+                    .toBuffer()
+                    .then(output => ({
+                        size,
+                        format: outFormat,
+                        fileName: `${baseName}-${stamp}-${size}.${outFormat === 'jpeg' ? 'jpg' : outFormat}`,
+                        buffer: output
+                    }))
+            );
+        });
+    });
+    return Promise.all(jobs);
+}
+
+function safeBaseName(originalName) {
+    return path.parse(originalName || 'image').name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'image';
+}
+
+/**
+ * Process an uploaded multer file (memory storage) into renditions, write
+ * them through the configured storage and return their URLs:
+ * { thumbnail, medium, large, webp: { thumbnail, medium, large } }.
+ */
+async function saveImageRenditions(file) {
+    const storage = getStorage();
+    const renditions = await renderImage(file.buffer, safeBaseName(file.originalname));
+
+    const urls = { webp: {} };
+    await Promise.all(renditions.map(async rendition => {
+        const url = await storage.save(rendition.fileName, rendition.buffer, `image/${rendition.format}`);
+        if (rendition.format === 'webp') urls.webp[rendition.size] = url;
+        else urls[rendition.size] = url;
+    }));
+    return urls;
+}
+
+module.exports = {
+    RENDITIONS,
+    isRenditionKey,
+    readImage,
+    renderImage,
+    saveImageRenditions
+};
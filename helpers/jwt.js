@@ -1,4 +1,13 @@
 const expressJwt = require('express-jwt');
+const jwt = require('jsonwebtoken');
+
+// routes any signed-in user may call, everything else behind the jwt is admin only
+const customerRoutes = [
+    { url: /^\/api\/v1\/products\/[^/]+\/reviews\/?$/, methods: ['POST'] },
+    { url: /^\/api\/v1\/users\/me\/wishlist(\/.*)?$/, methods: ['GET', 'POST', 'DELETE'] },
+    { url: /^\/api\/v1\/orders\/quote\/?$/, methods: ['POST'] },
+    { url: /^\/api\/v1\/payments\/orders\/[^/]+(\/intent)?\/?$/, methods: ['GET', 'POST'] },
+];
 
 function authJwt() {
     const secret = process.env.secret;
@@ -10,8 +19,12 @@ function authJwt() {
     }).unless({
         path: [
             { url: /\/public\/uploads(.*)/, methods: ['GET', 'OPTIONS'] },
-            { url: /\/api\/v1\/products(.*)/, method: ['GET', 'OPTIONS'] },
-            { url: /\/api\/v1\/categories(.*)/, method: ['GET', 'OPTIONS'] },
+            { url: /\/api\/v1\/products(.*)/, methods: ['GET', 'OPTIONS'] },
+            { url: /\/api\/v1\/categories(.*)/, methods: ['GET', 'OPTIONS'] },
+            // guests have carts too, the routes tell users apart themselves
+            /\/api\/v1\/cart(.*)/,
+            // providers sign their webhooks instead
+            { url: /\/api\/v1\/payments\/webhooks(.*)/, methods: ['POST'] },
             `${api}/users/login`,
             `${api}/users/register`,
             { url: /\/api-docs(.*)/, methods: ['GET', 'OPTIONS'] }
@@ -19,12 +32,35 @@ function authJwt() {
     })
 }
 
+function isCustomerRoute(req) {
+    const path = req.originalUrl.split('?')[0];
+    return customerRoutes.some(route => route.url.test(path) && route.methods.includes(req.method));
+}
+
 async function isRevoked(req, payload, done) {
-    if (!payload.isAdmin) {
-        done(null, true)
+    if (!payload.isAdmin && !isCustomerRoute(req)) {
+        return done(null, true)
     }
 
     done();
 }
 
-module.exports = authJwt;
\ No newline at end of file
+// Public routes skip authJwt. This still identifies a signed-in caller there
+// so those routes can show admins more; bad or missing tokens are anonymous.
+function optionalUser() {
+    return (req, res, next) => {
+        if (req.user) return next();
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme === 'Bearer' && token) {
+            try {
+                req.user = jwt.verify(token, process.env.secret, { algorithms: ['HS256'] });
+            } catch (err) {
+                req.user = undefined;
+            }
+        }
+        next();
+    };
+}
+
+module.exports = authJwt;
+module.exports.optionalUser = optionalUser;
@@ -0,0 +1,122 @@
+// Product and category texts are stored in DEFAULT_LOCALE on the documents
+// themselves, with per-locale overrides in their `translations` map, e.g.
+// translations: { vi: { name: 'Điện thoại' } }. Missing translations fall
+// back to the stored text.
+
+const SUPPORTED_LOCALES = ['vi', 'en'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+const PRODUCT_FIELDS = ['name', 'description', 'richDescription'];
+const CATEGORY_FIELDS = ['name'];
+
+function supportedLocale(tag) {
+    const language = String(tag || '').trim().toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Locale of a request: the `lang` query param, else the best supported
+ * language of the Accept-Language header, else DEFAULT_LOCALE.
+ */
+function resolveLocale(req) {
+    const requested = supportedLocale(req.query.lang);
+    if (requested) return requested;
+
+    const accepted = String(req.headers['accept-language'] || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { locale: supportedLocale(tag), quality: quality ? Number(quality.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.locale && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    return accepted.length ? accepted[0].locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Sets req.locale and the Content-Language of the response. Responses vary
+ * with Accept-Language so caches keep one copy per language.
+ */
+function localeMiddleware() {
+    return (req, res, next) => {
+        req.locale = resolveLocale(req);
+        res.set('Content-Language', req.locale);
+        res.vary('Accept-Language');
+        next();
+    };
+}
+
+/**
+ * The translated values of `fields` a document has for `locale`; fields
+ * without a translation are left out.
+ */
+function translatedFields(doc, locale, fields) {
+    const result = {};
+    if (!locale || locale === DEFAULT_LOCALE || !doc.translations) return result;
+    const translation = doc.translations instanceof Map ? doc.translations.get(locale) : doc.translations[locale];
+    if (!translation) return result;
+    fields.forEach(field => {
+        if (translation[field]) result[field] = translation[field];
+    });
+    return result;
+}
+
+function localizeCategory(category, locale) {
+    return { ...category.toJSON(), ...translatedFields(category, locale, CATEGORY_FIELDS) };
+}
+
+/**
+ * JSON of a product in `locale`, including its category when populated.
+ */
+function localizeProduct(product, locale) {
+    const json = { ...product.toJSON(), ...translatedFields(product, locale, PRODUCT_FIELDS) };
+    if (product.category && product.populated('category')) {
+        json.category = localizeCategory(product.category, locale);
+    }
+    return json;
+}
+
+/**
+ * Check translations sent by a client: an object keyed by supported locale
+ * other than DEFAULT_LOCALE (its texts are the document's own), each holding
+ * strings for some of `fields`. Returns a list of error messages.
+ */
+function checkTranslations(translations, fields) {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+        return ['translations must be an object keyed by locale'];
+    }
+    const errors = [];
+    Object.entries(translations).forEach(([locale, translation]) => {
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            errors.push(`unsupported locale ${locale}, use one of ${SUPPORTED_LOCALES.join(', ')}`);
+            return;
+        }
+        if (locale === DEFAULT_LOCALE) {
+            errors.push(`${locale} is the default locale, set the fields themselves instead of translations.${locale}`);
+            return;
+        }
+        if (!translation || typeof translation !== 'object') {
+            errors.push(`translations.${locale} must be an object`);
+            return;
+        }
+        Object.entries(translation).forEach(([field, value]) => {
+            if (!fields.includes(field)) errors.push(`translations.${locale}.${field} cannot be translated`);
+            else if (value !== null && typeof value !== 'string') errors.push(`translations.${locale}.${field} must be a string`);
+        });
+    });
+    return errors;
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    PRODUCT_FIELDS,
+    CATEGORY_FIELDS,
+    resolveLocale,
+    localeMiddleware,
+    translatedFields,
+    localizeCategory,
+    localizeProduct,
+    checkTranslations
+};
@@ -0,0 +1,100 @@
+// Money is stored and computed as integer amounts in the currency's minor
+// unit (cents for USD, dong for VND) together with an ISO 4217 code. Only
+// convert to decimal amounts at the edges, e.g. when formatting for display.
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+function isCurrencyCode(code) {
+    if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+    try {
+        new Intl.NumberFormat('en', { style: 'currency', currency: code });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Number of decimal digits of the currency's minor unit (2 for USD, 0 for VND).
+ */
+function exponent(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: currency || DEFAULT_CURRENCY })
+        .resolvedOptions().maximumFractionDigits;
+}
+
+function isMinorUnits(amount) {
+    return Number.isSafeInteger(amount);
+}
+
+function assertMinorUnits(amount) {
+    if (!isMinorUnits(amount)) {
+        throw new TypeError(`Expected an integer amount in minor units, got ${amount}`);
+    }
+    return amount;
+}
+
+// Math.round rounds -2.5 to -2, money rounds half away from zero
+function roundHalfAwayFromZero(value) {
+    return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+/**
+ * Convert a decimal amount (number or numeric string, e.g. "19.99") into
+ * minor units of the currency.
+ */
+function toMinorUnits(amount, currency) {
+    const value = typeof amount === 'string' ? Number(amount.trim()) : amount;
+    if (typeof value !== 'number' || !Number.isFinite(value) || (typeof amount === 'string' && !amount.trim())) {
+        throw new TypeError(`Invalid amount ${amount}`);
+    }
+    // go through toFixed so 1.005 * 100 does not become 100.49999999999999
+    const scaled = Number((value * Math.pow(10, exponent(currency))).toFixed(6));
+    return roundHalfAwayFromZero(scaled);
+}
+
+function toMajorUnits(amount, currency) {
+    return assertMinorUnits(amount) / Math.pow(10, exponent(currency));
+}
+
+function add(...amounts) {
+    return amounts.reduce((sum, amount) => sum + assertMinorUnits(amount), 0);
+}
+
+function subtract(amount, other) {
+    return assertMinorUnits(amount) - assertMinorUnits(other);
+}
+
+/**
+ * Multiply an amount by a quantity or factor, rounding the result back to
+ * whole minor units.
+ */
+function multiply(amount, factor) {
+    return roundHalfAwayFromZero(assertMinorUnits(amount) * factor);
+}
+
+/**
+ * `percent` percent of an amount, e.g. percentage(1999, 10) === 200.
+ */
+function percentage(amount, percent) {
+    return multiply(amount, percent / 100);
+}
+
+function format(amount, currency) {
+    const code = currency || DEFAULT_CURRENCY;
+    return new Intl.NumberFormat('en', { style: 'currency', currency: code })
+        .format(toMajorUnits(amount, code));
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isCurrencyCode,
+    exponent,
+    isMinorUnits,
+    toMinorUnits,
+    toMajorUnits,
+    add,
+    subtract,
+    multiply,
+    percentage,
+    format
+};
@@ -0,0 +1,59 @@
+// Lifecycle of an order. Each status lists the statuses it may move to;
+// Cancelled and Refunded are final. Failed means the last payment attempt
+// failed; the order keeps its stock so it can still be paid.
+const ORDER_TRANSITIONS = {
+    Pending: ['Paid', 'Failed', 'Processing', 'Cancelled'],
+    Failed: ['Paid', 'Cancelled'],
+    Paid: ['Processing', 'Refunded'],
+    Processing: ['Shipped', 'Cancelled', 'Refunded'],
+    Shipped: ['Delivered'],
+    Delivered: ['Refunded'],
+    Cancelled: [],
+    Refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// stock goes back on the shelf unless the goods already left
+const SHIPPED_STATUSES = ['Shipped', 'Delivered'];
+
+// orders that count as a purchase: paid for and not cancelled or refunded
+const PURCHASED_STATUSES = ['Paid', 'Processing', 'Shipped', 'Delivered'];
+
+function isOrderStatus(status) {
+    return ORDER_STATUSES.includes(status);
+}
+
+/**
+ * Whether an order may move from `from` to `to`. Orders saved before the
+ * lifecycle existed may carry other statuses; those may move anywhere.
+ */
+function canTransition(from, to) {
+    if (!isOrderStatus(to)) return false;
+    if (!isOrderStatus(from)) return true;
+    return ORDER_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Whether the goods of an order in `status` left the warehouse.
+ */
+function hasShipped(status) {
+    return SHIPPED_STATUSES.includes(status);
+}
+
+/**
+ * Whether moving from `from` to `to` gives the order's stock back.
+ */
+function releasesStock(from, to) {
+    return to === 'Cancelled' || (to === 'Refunded' && !hasShipped(from));
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    PURCHASED_STATUSES,
+    isOrderStatus,
+    canTransition,
+    hasShipped,
+    releasesStock
+};
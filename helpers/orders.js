@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { Order } = require('../models/order');
+const { OrderItem } = require('../models/order-item');
+const { Product } = require('../models/product');
+const { reserveStock, releaseStock } = require('./stock');
+const { applyCouponCode, redeemCoupon, releaseCoupons } = require('./coupons');
+const { quoteOrder } = require('./checkout');
+const { hasShipped } = require('./order-status');
+
+// shipping and contact details every order needs
+const REQUIRED_DETAILS = ['shippingAddress1', 'city', 'zip', 'country', 'phone'];
+
+/**
+ * Stock lines ({ product, variant, quantity }) of a saved order.
+ */
+async function orderStockLines(order) {
+    const orderItems = await OrderItem.find({ _id: { $in: order.orderItems } });
+    return orderItems.map(orderItem => ({
+        product: orderItem.product,
+        variant: orderItem.variant,
+        quantity: orderItem.quantity
+    }));
+}
+
+/**
+ * Look up the product (and variant, for products that have them) of a
+ * requested order line and check there is enough stock. This is only a quick
+ * check, stock is actually taken by reserveStock. Returns the resolved
+ * line or an object with an error message.
+ */
+async function resolveOrderLine(orderItem) {
+    if (!orderItem || typeof orderItem !== 'object' || Array.isArray(orderItem))
+        return { error: 'Invalid order item' };
+    const quantity = Number(orderItem.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1)
+        return { error: 'Invalid quantity' };
+    if (!mongoose.isValidObjectId(orderItem.product))
+        return { error: 'Invalid Product Id' };
+
+    const product = await Product.findById(orderItem.product);
+    if (!product)
+        return { error: 'product not found!' };
+    if (!product.isLive())
+        return { error: 'product is not available' };
+
+    if (!product.variants.length) {
+        if (product.countInStock < quantity)
+            return { error: `only ${product.countInStock} in stock` };
+        return { product, quantity, unitPrice: product.price };
+    }
+
+    const variant = product.findVariant(orderItem.variant || orderItem.sku);
+    if (!variant)
+        return { error: 'a valid variant is required for this product' };
+    if (variant.countInStock < quantity)
+        return { error: `only ${variant.countInStock} of ${variant.sku} in stock` };
+    return { product, variant, quantity, unitPrice: variant.price };
+}
+
+/**
+ * Resolve the requested lines ({ product, variant|sku, quantity }) of an
+ * order shipped to `details` ({ country, region, user }), apply `couponCode`
+ * and work out tax and shipping, without writing anything.
+ *
+ * Resolves to { lines, currency, discount, quote } (see helpers/checkout for
+ * the quote), { errors: [{ index, product, message }] } when lines cannot be
+ * fulfilled, or { error } when the order itself is invalid.
+ */
+async function prepareOrder(orderItems, details, { couponCode } = {}) {
+    if (!Array.isArray(orderItems) || !orderItems.length)
+        return { error: 'the order has no items!' };
+
+    // resolve every line against its product (and variant) before writing anything
+    const errors = [];
+    const lines = await Promise.all(
+        orderItems.map(async (orderItem, index) => {
+            const line = await resolveOrderLine(orderItem);
+            if (line.error) errors.push({ index, product: orderItem ? orderItem.product : undefined, message: line.error });
+            return line;
+        })
+    );
+    if (errors.length)
+        return { errors };
+
+    const currency = lines[0].product.currency;
+    lines.forEach((line, index) => {
+        if (line.product.currency !== currency)
+            errors.push({ index, product: line.product.id, message: `priced in ${line.product.currency}, order is in ${currency}` });
+    });
+    if (errors.length)
+        return { errors };
+
+    let discount = null;
+    if (couponCode) {
+        const applied = await applyCouponCode(couponCode, lines, { currency, user: details.user });
+        if (applied.error)
+            return { error: applied.error };
+        discount = applied.discount;
+    }
+
+    const quoted = await quoteOrder(lines, details, { currency, discount });
+    if (quoted.error)
+        return { error: quoted.error };
+    return { lines, currency, discount, quote: quoted.quote };
+}
+
+/**
+ * Create an order for the requested lines ({ product, variant|sku, quantity })
+ * with the shipping and contact `details` of the order. Stock is reserved for
+ * every line or the order is not created. `actor` is the user recorded on the
+ * stock ledger; `couponCode` is applied to the order when given.
+ *
+ * Resolves to { order }, { errors: [{ index, product, message }] } when lines
+ * cannot be fulfilled, or { error } when the order itself is invalid.
+ */
+async function placeOrder(orderItems, details, { actor, couponCode } = {}) {
+    // checked before any stock is taken, the order cannot be saved without them
+    const missing = REQUIRED_DETAILS.filter(field => !details[field] || !String(details[field]).trim());
+    if (missing.length)
+        return { error: `missing shipping details: ${missing.join(', ')}` };
+
+    const prepared = await prepareOrder(orderItems, details, { couponCode });
+    if (prepared.errors || prepared.error)
+        return prepared;
+    const { lines, currency, discount, quote } = prepared;
+
+    const stockLines = lines.map(line => ({
+        product: line.product._id,
+        variant: line.variant ? line.variant._id : undefined,
+        quantity: line.quantity
+    }));
+    const orderId = new mongoose.Types.ObjectId();
+    if (discount && !await redeemCoupon(discount, { user: details.user, order: orderId }))
+        return { error: `coupon ${discount.code} has been used up` };
+    const reservation = await reserveStock(stockLines, { order: orderId, user: actor });
+    if (!reservation.ok) {
+        await releaseCoupons(orderId);
+        return { errors: reservation.errors };
+    }
+
+    const orderItemsIds = await Promise.all(
+        lines.map(async line => {
+            let newOrderItem = new OrderItem({
+                quantity: line.quantity,
+                product: line.product._id,
+                variant: line.variant ? line.variant._id : undefined,
+                sku: line.variant ? line.variant.sku : undefined,
+                unitPrice: line.unitPrice
+            });
+
+            newOrderItem = await newOrderItem.save();
+            return newOrderItem._id;
+        })
+    );
+
+    const discounts = discount ? [{
+        ...discount,
+        lines: discount.lines.map(({ index, ...line }) => ({ ...line, orderItem: orderItemsIds[index] }))
+    }] : [];
+
+    let order = new Order({
+        _id: orderId,
+        orderItems: orderItemsIds,
+        shippingAddress1: details.shippingAddress1,
+        shippingAddress2: details.shippingAddress2,
+        city: details.city,
+        zip: details.zip,
+        country: details.country,
+        region: details.region,
+        phone: details.phone,
+        status: 'Pending',
+        statusHistory: [{ status: 'Pending', user: actor }],
+        subtotal: quote.subtotal,
+        discounts,
+        discountTotal: quote.discountTotal,
+        shipping: quote.shipping,
+        shippingTotal: quote.shippingTotal,
+        taxes: quote.taxes,
+        taxTotal: quote.taxTotal,
+        totalPrice: quote.grandTotal,
+        currency: currency,
+        user: details.user,
+        stockReserved: true,
+    })
+    try {
+        order = await order.save();
+    } catch (err) {
+        await releaseStock(stockLines, { order: orderId, user: actor, reason: 'order not saved' });
+        await releaseCoupons(orderId);
+        await OrderItem.deleteMany({ _id: { $in: orderItemsIds } });
+        return { error: err.message };
+    }
+
+    if (!order)
+        return { error: 'the order cannot be created!' };
+    return { order };
+}
+
+/**
+ * Move a loaded order to `status`, recording the change in its history.
+ * Only applies while nobody else changed the status since the order was
+ * read; resolves to the updated order, or null when it was. The caller
+ * checks the transition is allowed.
+ */
+function transitionOrder(order, status, { user, note } = {}) {
+    return Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        {
+            // shipped goods are gone from the shelf, so the order no longer holds stock
+            $set: hasShipped(status) ? { status, stockReserved: false } : { status },
+            $push: { statusHistory: { status, from: order.status, user, note } }
+        },
+        { new: true }
+    );
+}
+
+module.exports = {
+    orderStockLines,
+    resolveOrderLine,
+    prepareOrder,
+    placeOrder,
+    transitionOrder
+};
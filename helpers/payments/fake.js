@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// webhooks signed longer ago than this are refused, so captured requests cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function paymentError(message) {
+    const err = new Error(message);
+    err.name = 'PaymentError';
+    return err;
+}
+
+/**
+ * Payment provider that takes no money, for local testing. Intents get a
+ * made-up reference; webhooks are JSON events signed in the X-Fake-Signature
+ * header as "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">" with
+ * `options.secret`. signWebhook builds such a request.
+ */
+function createFakePaymentProvider(options) {
+    const secret = options.secret;
+
+    function signature(timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    return {
+        name: 'fake',
+
+        async createIntent() {
+            const reference = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+            return {
+                reference,
+                clientSecret: `${reference}_secret_${crypto.randomBytes(12).toString('hex')}`
+            };
+        },
+
+        verifyWebhook(rawBody, headers) {
+            const parts = {};
+            String(headers['x-fake-signature'] || '').split(',').forEach(part => {
+                const [key, value] = part.split('=');
+                if (key && value) parts[key.trim()] = value.trim();
+            });
+            if (!parts.t || !parts.v1)
+                throw paymentError('missing webhook signature');
+            if (Math.abs(Date.now() / 1000 - Number(parts.t)) > SIGNATURE_TOLERANCE_SECONDS)
+                throw paymentError('webhook signature has expired');
+
+            const expected = Buffer.from(signature(parts.t, rawBody));
+            const given = Buffer.from(parts.v1);
+            if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given))
+                throw paymentError('invalid webhook signature');
+
+            let event;
+            try {
+                event = JSON.parse(rawBody);
+            } catch (err) {
+                throw paymentError('webhook body is not JSON');
+            }
+            return {
+                id: event.id,
+                type: event.type,
+                reference: event.reference,
+                amount: event.amount,
+                currency: event.currency,
+                failureReason: event.failureReason
+            };
+        },
+
+        /**
+         * The body and headers the fake provider would send for `event`.
+         */
+        signWebhook(event, timestamp = Math.floor(Date.now() / 1000)) {
+            const body = JSON.stringify({ id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`, ...event });
+            return {
+                body,
+                headers: { 'x-fake-signature': `t=${timestamp},v1=${signature(timestamp, body)}` }
+            };
+        }
+    };
+}
+
+module.exports = createFakePaymentProvider;
+module.exports.paymentError = paymentError;
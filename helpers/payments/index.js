@@ -0,0 +1,166 @@
+const { Payment } = require('../../models/payment');
+const { Order } = require('../../models/order');
+const { canTransition } = require('../order-status');
+const { transitionOrder } = require('../orders');
+const createFakePaymentProvider = require('./fake');
+
+// Orders are paid through the provider named by PAYMENT_PROVIDER; without
+// one, orders cannot be paid. Every attempt is a Payment; the provider
+// reports the outcome to POST /payments/webhooks/<provider>, which moves the
+// order to Paid or Failed. Only the configured provider takes webhooks.
+//
+// Providers implement createIntent({ payment, order }), resolving to
+// { reference, clientSecret }, and verifyWebhook(rawBody, headers), which
+// returns the event { id, type, reference, amount, currency, failureReason }
+// or throws an Error named 'PaymentError' when the signature does not check
+// out. Event types are 'payment.succeeded' and 'payment.failed'; others are
+// acknowledged and ignored. A factory returns null when the provider cannot
+// be used in this environment.
+//
+// fake: local testing only, never in production; FAKE_PAYMENT_SECRET (required)
+//       signs the webhooks
+
+const PROVIDERS = {
+    fake: () => {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('The fake payment provider is disabled in production');
+            return null;
+        }
+        if (!process.env.FAKE_PAYMENT_SECRET) {
+            console.error('The fake payment provider needs FAKE_PAYMENT_SECRET');
+            return null;
+        }
+        return createFakePaymentProvider({ secret: process.env.FAKE_PAYMENT_SECRET });
+    }
+};
+
+// orders in these statuses still wait for their money
+const PAYABLE_STATUSES = ['Pending', 'Failed'];
+
+const providers = new Map();
+
+/**
+ * The configured provider (PAYMENT_PROVIDER), created on first use, or null
+ * when there is none or it cannot be used. With `name`, null unless that is
+ * the configured provider.
+ */
+function getPaymentProvider(name) {
+    const providerName = process.env.PAYMENT_PROVIDER;
+    if (!providerName || (name && name !== providerName)) return null;
+    if (!Object.prototype.hasOwnProperty.call(PROVIDERS, providerName)) {
+        throw new Error(`Unknown payment provider ${providerName}`);
+    }
+    if (!providers.has(providerName)) providers.set(providerName, PROVIDERS[providerName]());
+    return providers.get(providerName);
+}
+
+/**
+ * Start a payment attempt for the order's total. Resolves to { payment,
+ * clientSecret } for the client to complete the payment with the provider,
+ * or { status, message } when the order cannot be paid.
+ */
+async function createPaymentIntent(order, { user }) {
+    if (!PAYABLE_STATUSES.includes(order.status))
+        return { status: 409, message: `an order that is ${order.status} cannot be paid` };
+    if (!(order.totalPrice > 0))
+        return { status: 409, message: 'the order has nothing to pay' };
+
+    const provider = getPaymentProvider();
+    if (!provider)
+        return { status: 503, message: 'payments are not available' };
+    const payment = new Payment({
+        order: order._id,
+        user,
+        provider: provider.name,
+        amount: order.totalPrice,
+        currency: order.currency
+    });
+    const intent = await provider.createIntent({ payment, order });
+    payment.reference = intent.reference;
+    await payment.save();
+    return { payment, clientSecret: intent.clientSecret };
+}
+
+// move the order unless someone else changes it at the same time; resolves
+// to the order, with `refused` when its status does not allow the change
+async function moveOrder(orderId, status, note) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const order = await Order.findById(orderId);
+        if (!order || order.status === status) return { order };
+        if (!canTransition(order.status, status)) return { order, refused: true };
+        const moved = await transitionOrder(order, status, { note });
+        if (moved) return { order: moved };
+    }
+    return { order: await Order.findById(orderId), refused: true };
+}
+
+async function paymentSucceeded(payment, event) {
+    if (event.amount !== payment.amount || event.currency !== payment.currency) {
+        return Payment.findByIdAndUpdate(payment._id, {
+            status: 'failed',
+            failureReason: `provider reported ${event.amount} ${event.currency}, expected ${payment.amount} ${payment.currency}`,
+            needsReview: true
+        }, { new: true });
+    }
+
+    const updated = await Payment.findByIdAndUpdate(payment._id, { status: 'succeeded', $unset: { failureReason: 1 } }, { new: true });
+    const paidBefore = await Payment.exists({ order: payment.order, status: 'succeeded', _id: { $ne: payment._id } });
+    const { order, refused } = paidBefore ? { order: null, refused: true } : await moveOrder(payment.order, 'Paid', `payment ${payment.reference}`);
+    if (!refused && order) return updated;
+
+    // the money was taken but the order does not need it any more
+    const note = paidBefore
+        ? 'the order was already paid by another payment'
+        : `the order was ${order ? order.status : 'deleted'} when the payment succeeded`;
+    return Payment.findByIdAndUpdate(payment._id, { needsReview: true, note }, { new: true });
+}
+
+async function paymentFailed(payment, event) {
+    // a failure reported after the money came in changes nothing
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $ne: 'succeeded' } },
+        { status: 'failed', failureReason: event.failureReason || 'payment failed' },
+        { new: true }
+    );
+    if (!updated) return Payment.findById(payment._id);
+    await moveOrder(payment.order, 'Failed', `payment ${payment.reference} failed`);
+    return updated;
+}
+
+/**
+ * Apply a verified webhook event of `providerName`. Events are recorded on
+ * the payment they refer to; an event id seen before is not applied again,
+ * since providers retry deliveries. Resolves to { payment } or, for unknown
+ * payments and event types, { ignored: true }.
+ */
+async function handlePaymentEvent(providerName, event) {
+    if (!['payment.succeeded', 'payment.failed'].includes(event.type) || !event.reference)
+        return { ignored: true };
+
+    const filter = { provider: providerName, reference: String(event.reference) };
+    if (event.id) filter['events.id'] = { $ne: String(event.id) };
+    const logged = await Payment.findOneAndUpdate(
+        filter,
+        {
+            $push: { events: { id: event.id, type: event.type, amount: event.amount, currency: event.currency } },
+            dateUpdated: new Date()
+        },
+        { new: true }
+    );
+    if (!logged) {
+        const payment = await Payment.findOne({ provider: providerName, reference: String(event.reference) });
+        return payment ? { payment, duplicate: true } : { ignored: true };
+    }
+
+    const payment = event.type === 'payment.succeeded'
+        ? await paymentSucceeded(logged, event)
+        : await paymentFailed(logged, event);
+    return { payment };
+}
+
+module.exports = {
+    PAYABLE_STATUSES,
+    getPaymentProvider,
+    createPaymentIntent,
+    handlePaymentEvent
+};
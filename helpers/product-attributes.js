@@ -0,0 +1,93 @@
+// Categories define the attributes (specifications) their products carry,
+// e.g. { name: 'screenSize', type: 'number', unit: 'in' }. A category also
+// inherits the attributes of its parents, see helpers/category-tree.
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean'];
+
+// attribute names end up in query paths (attributes.<name>), keep them plain
+const ATTRIBUTE_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Check a category's attribute definitions. Resolves to a list of error
+ * messages, empty when they are fine.
+ */
+function checkAttributeDefinitions(definitions) {
+    if (!Array.isArray(definitions)) return ['attributes must be a list'];
+    const errors = [];
+    const names = new Set();
+    definitions.forEach((definition, index) => {
+        const name = definition && definition.name;
+        if (typeof name !== 'string' || !ATTRIBUTE_NAME.test(name)) {
+            errors.push(`attribute ${index + 1} needs a name of letters, digits, - or _`);
+            return;
+        }
+        if (names.has(name)) errors.push(`duplicate attribute ${name}`);
+        names.add(name);
+        const type = definition.type || 'string';
+        if (!ATTRIBUTE_TYPES.includes(type)) {
+            errors.push(`attribute ${name} has unknown type ${type}`);
+        }
+        if (definition.allowedValues && definition.allowedValues.length && type !== 'string') {
+            errors.push(`only string attributes can list allowed values (${name})`);
+        }
+    });
+    return errors;
+}
+
+function coerceValue(value, definition) {
+    if (definition.type === 'number') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    if (definition.type === 'boolean') {
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        return undefined;
+    }
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : undefined;
+}
+
+/**
+ * Validate a product's attribute values against the definitions of its
+ * category. Numbers and booleans may arrive as strings (multipart forms, CSV)
+ * and are converted; blank values are dropped. Returns { values, errors }.
+ */
+function checkAttributeValues(values, definitions) {
+    if (values !== null && values !== undefined && typeof values !== 'object') {
+        return { values: {}, errors: ['attributes must be an object'] };
+    }
+    const byName = new Map(definitions.map(definition => [definition.name, definition]));
+    const entries = values instanceof Map ? [...values] : Object.entries(values || {});
+    const given = new Set();
+    const checked = {};
+    const errors = [];
+
+    entries.forEach(([name, value]) => {
+        if (value === null || value === undefined || value === '') return;
+        given.add(name);
+        const definition = byName.get(name);
+        if (!definition) {
+            errors.push(`unknown attribute ${name}`);
+            return;
+        }
+        const coerced = coerceValue(value, definition);
+        if (coerced === undefined) {
+            errors.push(`attribute ${name} must be a ${definition.type}`);
+        } else if (definition.allowedValues && definition.allowedValues.length && !definition.allowedValues.includes(coerced)) {
+            errors.push(`attribute ${name} must be one of ${definition.allowedValues.join(', ')}`);
+        } else {
+            checked[name] = coerced;
+        }
+    });
+    definitions
+        .filter(definition => definition.required && !given.has(definition.name))
+        .forEach(definition => errors.push(`attribute ${definition.name} is required`));
+    return { values: checked, errors };
+}
+
+module.exports = {
+    ATTRIBUTE_TYPES,
+    ATTRIBUTE_NAME,
+    checkAttributeDefinitions,
+    checkAttributeValues
+};
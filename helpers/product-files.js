@@ -0,0 +1,73 @@
+const { Product } = require('../models/product');
+const { getStorage } = require('./storage');
+const { isRenditionKey } = require('./image-processing');
+
+// Uploaded files belong to the products that reference them. Whenever a
+// product drops a file (deleted, image replaced, gallery edited) the file is
+// removed from storage, unless another product still points at it.
+
+/**
+ * Delete the files in `previousUrls` that are not in `currentUrls` and not
+ * referenced by any other product. Returns the storage keys removed.
+ */
+async function releaseFiles(previousUrls, currentUrls, productId) {
+    const dropped = new Set([...previousUrls].filter(url => !currentUrls.has(url)));
+    if (!dropped.size) return [];
+
+    const storage = getStorage();
+    const shared = await Product.findReferencedUrls(dropped, productId);
+    const keys = [...dropped]
+        .filter(url => !shared.has(url))
+        .map(url => storage.keyFromUrl(url))
+        .filter(Boolean);
+
+    await Promise.all(keys.map(key => storage.remove(key)));
+    return keys;
+}
+
+/**
+ * Storage keys of every file referenced by a product.
+ */
+async function referencedKeys() {
+    const storage = getStorage();
+    const keys = new Set();
+    const cursor = Product.find().select(Product.FILE_PATHS.join(' ')).cursor();
+    for (let product = await cursor.next(); product; product = await cursor.next()) {
+        product.fileUrls().forEach(url => {
+            const key = storage.keyFromUrl(url);
+            if (key) keys.add(key);
+        });
+    }
+    return keys;
+}
+
+/**
+ * Stored files no product references. Only keys named like our image
+ * renditions are considered, since the storage (e.g. an S3 bucket without
+ * S3_PREFIX) may hold files that are not product uploads. Files younger than
+ * `minAgeMinutes` are skipped, they may belong to an upload whose product is
+ * not saved yet.
+ */
+async function findOrphanedUploads(minAgeMinutes) {
+    const storage = getStorage();
+    const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+    const [files, referenced] = await Promise.all([storage.list(), referencedKeys()]);
+
+    return files.filter(file =>
+        isRenditionKey(file.key)
+        && !referenced.has(file.key) && (!file.lastModified || new Date(file.lastModified).getTime() < cutoff)
+    );
+}
+
+async function purgeOrphanedUploads(minAgeMinutes) {
+    const storage = getStorage();
+    const orphans = await findOrphanedUploads(minAgeMinutes);
+    await Promise.all(orphans.map(file => storage.remove(file.key)));
+    return orphans;
+}
+
+module.exports = {
+    releaseFiles,
+    findOrphanedUploads,
+    purgeOrphanedUploads
+};
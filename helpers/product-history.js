@@ -0,0 +1,121 @@
+const { ProductRevision } = require('../models/product-revision');
+
+// Every change made to a product through the API is kept as a numbered
+// revision holding a full snapshot, so any version can be looked at or
+// restored. Stock and ratings change on their own (inventory ledger,
+// reviews) and are not part of the diffs.
+
+const IGNORED_FIELDS = ['_id', '__v', 'countInStock', 'rating', 'numReviews'];
+
+// Fields a revert puts back. Images are left alone: files replaced since may
+// already be deleted from storage. Stock stays with the inventory ledger.
+const REVERTED_FIELDS = [
+    'name', 'sku', 'slug', 'description', 'richDescription', 'brand', 'price', 'currency', 'category',
+    'lowStockThreshold', 'translations', 'attributes', 'options', 'variants', 'isFeatured', 'status',
+    'publishAt', 'unpublishAt'
+];
+
+function snapshotOf(product) {
+    return product.toObject({ depopulate: true, flattenMaps: true, virtuals: false });
+}
+
+// variants without their stock, which the ledger tracks
+function comparable(field, value) {
+    if (field === 'variants' && Array.isArray(value)) {
+        return value.map(({ countInStock, ...variant }) => variant);
+    }
+    return value;
+}
+
+/**
+ * Field-level differences between two snapshots: [{ field, from, to }].
+ */
+function diffSnapshots(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .sort()
+        .map(field => ({
+            field,
+            from: comparable(field, before ? before[field] : undefined),
+            to: comparable(field, after ? after[field] : undefined)
+        }))
+        .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+/**
+ * Save a new revision of `product` after a change. `action` is one of create,
+ * update, delete or revert. Updates that change nothing tracked are skipped.
+ * `before` (the product or its snapshot before the change) is stored as a
+ * baseline version when the product has no history yet, so the first change
+ * of a product older than the history still shows what it changed.
+ * Resolves to the revision, or null when skipped.
+ */
+async function recordRevision(product, action, { user, before, revertedTo } = {}) {
+    const snapshot = snapshotOf(product);
+    const baseline = before && typeof before.toObject === 'function' ? snapshotOf(before) : before;
+    // two changes at once may pick the same version, the unique index
+    // rejects the second one and it tries again
+    for (let attempt = 0; attempt < 3; attempt++) {
+        let previous = await ProductRevision.findOne({ product: product._id }).sort({ version: -1 });
+        if (!previous && baseline && action !== 'create') {
+            previous = await ProductRevision.create({
+                product: product._id, version: 1, action: 'baseline', snapshot: baseline, changes: []
+            }).catch(err => {
+                if (err.code !== 11000) throw err;
+                return null;
+            });
+            if (!previous) continue;
+        }
+        const changes = action === 'delete' ? [] : diffSnapshots(previous ? previous.snapshot : null, snapshot);
+        if (action === 'update' && previous && !changes.length) return null;
+        try {
+            return await ProductRevision.create({
+                product: product._id,
+                version: previous ? previous.version + 1 : 1,
+                action,
+                snapshot,
+                changes,
+                revertedTo,
+                user
+            });
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+    }
+    throw new Error('Could not record the product revision');
+}
+
+/**
+ * Put the fields of a revision's snapshot back on `product` (not saved).
+ * Variants keep their current stock; variants that no longer exist come back
+ * without stock or image. Returns the current variants the revision drops.
+ */
+function applyRevision(product, revision) {
+    const snapshot = revision.snapshot;
+    const kept = new Set((snapshot.variants || []).map(variant => String(variant._id)));
+    const dropped = product.variants
+        .filter(variant => !kept.has(String(variant._id)))
+        .map(variant => ({ _id: variant._id, sku: variant.sku, countInStock: variant.countInStock }));
+    REVERTED_FIELDS.forEach(field => {
+        if (field === 'variants') return;
+        product.set(field, snapshot[field]);
+    });
+    product.variants = (snapshot.variants || []).map(variant => {
+        const current = product.variants.id(variant._id);
+        return {
+            ...variant,
+            countInStock: current ? current.countInStock : 0,
+            image: current ? current.image : undefined,
+            imageRenditions: current && current.imageRenditions ? current.imageRenditions.toObject() : undefined
+        };
+    });
+    return dropped;
+}
+
+module.exports = {
+    snapshotOf,
+    diffSnapshots,
+    recordRevision,
+    applyRevision
+};
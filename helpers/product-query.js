@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const { Category } = require('../models/category');
+const { Product } = require('../models/product');
+const money = require('./money');
+const { ATTRIBUTE_NAME } = require('./product-attributes');
+
+// Query parameters accepted by GET /products are translated here into a
+// Mongo aggregation so the route only has to run it and shape the response.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// lower bounds of the price buckets reported in facets, in major units of the
+// `currency` filtered on (prices of different currencies cannot share
+// buckets); the last one is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+// rating bands are [n, n + 1), with 5 folded into the top band
+const RATING_BANDS = [0, 1, 2, 3, 4];
+
+// public sort name -> field used in the pipeline
+const SORT_FIELDS = {
+    price: 'price',
+    rating: 'rating',
+    dateCreated: 'dateCreated',
+    name: 'name',
+    relevance: 'score'
+};
+
+function parseList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+function parseNumber(value, name) {
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number)) {
+        throw new Error(`Invalid ${name}`);
+    }
+    return number;
+}
+
+function parsePositiveInt(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number) || number < 1) {
+        throw new Error(`Invalid ${name}`);
+    }
+    return number;
+}
+
+function encodeCursor(value, id) {
+    const payload = value instanceof Date ? { d: value.toISOString(), id } : { v: value, id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+        if (!mongoose.isValidObjectId(payload.id)) throw new Error();
+        return {
+            value: payload.d !== undefined ? new Date(payload.d) : payload.v,
+            id: mongoose.Types.ObjectId(payload.id)
+        };
+    } catch (err) {
+        throw new Error('Invalid cursor');
+    }
+}
+
+/**
+ * Build the filter part of a catalog query. Prices are compared in minor
+ * units. Only live products are matched unless `admin` is set, in which case
+ * `status` may be used to filter by lifecycle status. With a `categoryTree`
+ * (see helpers/category-tree) a category also matches its subcategories.
+ * Throws an Error with a client-facing message on invalid input.
+ */
+function buildProductFilter(query, { admin, categoryTree } = {}) {
+    const filter = admin ? {} : Product.liveFilter();
+    const priceRange = {};
+
+    if (admin && query.status) {
+        const statuses = parseList(query.status);
+        // products saved before statuses existed count as published
+        filter.status = { $in: statuses.includes('published') ? [...statuses, null] : statuses };
+    }
+
+    if (query.q) {
+        filter.$text = { $search: String(query.q) };
+    }
+    if (query.category) {
+        const ids = parseList(query.category);
+        if (!ids.every(id => mongoose.isValidObjectId(id))) {
+            throw new Error('Invalid Category');
+        }
+        const matched = categoryTree ? [...new Set(ids.flatMap(id => categoryTree.descendantIds(id)))] : ids;
+        filter.category = { $in: matched.map(id => mongoose.Types.ObjectId(id)) };
+    }
+    if (query.brand) {
+        filter.brand = { $in: parseList(query.brand) };
+    }
+    if (query.currency) {
+        filter.currency = String(query.currency).toUpperCase();
+    }
+    if (query.isFeatured !== undefined) {
+        filter.isFeatured = parseBoolean(query.isFeatured);
+    }
+    if (parseBoolean(query.inStock)) {
+        filter.countInStock = { $gt: 0 };
+    }
+    if (query.minPrice !== undefined) {
+        priceRange.$gte = parseNumber(query.minPrice, 'minPrice');
+    }
+    if (query.maxPrice !== undefined) {
+        priceRange.$lte = parseNumber(query.maxPrice, 'maxPrice');
+    }
+    if (Object.keys(priceRange).length) {
+        filter.price = priceRange;
+    }
+    if (query.attributes !== undefined) {
+        Object.assign(filter, buildAttributeFilter(query.attributes));
+    }
+
+    return filter;
+}
+
+// a query value may be meant as a string, number or boolean attribute
+function attributeValues(text) {
+    const values = [text];
+    if (text !== '' && Number.isFinite(Number(text))) values.push(Number(text));
+    if (text === 'true' || text === 'false') values.push(text === 'true');
+    return values;
+}
+
+/**
+ * Conditions on product attributes from attributes[name]=a,b (any of the
+ * values) or attributes[name][min]=x&attributes[name][max]=y (numbers).
+ */
+function buildAttributeFilter(attributes) {
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        throw new Error('Invalid attributes filter');
+    }
+    const filter = {};
+    Object.entries(attributes).forEach(([name, condition]) => {
+        if (!ATTRIBUTE_NAME.test(name)) throw new Error(`Invalid attribute ${name}`);
+        const path = `attributes.${name}`;
+        if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+            const range = {};
+            if (condition.min !== undefined) range.$gte = parseNumber(condition.min, `attributes[${name}][min]`);
+            if (condition.max !== undefined) range.$lte = parseNumber(condition.max, `attributes[${name}][max]`);
+            if (!Object.keys(range).length) throw new Error(`Invalid attribute filter ${name}`);
+            filter[path] = range;
+        } else {
+            filter[path] = { $in: parseList(condition).flatMap(attributeValues) };
+        }
+    });
+    return filter;
+}
+
+/**
+ * Parse the query string of GET /products into filter, sort and pagination
+ * options. See buildProductFilter for `admin` and `categoryTree`.
+ */
+function parseProductQuery(query, { admin, categoryTree } = {}) {
+    const filter = buildProductFilter(query, { admin, categoryTree });
+
+    let sortParam = query.sort ? String(query.sort) : (query.q ? '-relevance' : '-dateCreated');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    sortParam = sortParam.replace(/^[-+]/, '');
+    const sortField = SORT_FIELDS[sortParam];
+    if (!sortField || (sortField === 'score' && !query.q)) {
+        throw new Error('Invalid sort');
+    }
+
+    const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+    const page = parsePositiveInt(query.page, 'page', 1);
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+    const facets = parseBoolean(query.facets);
+    const priceBuckets = facets && money.isCurrencyCode(filter.currency)
+        ? PRICE_BUCKETS.map(amount => money.toMinorUnits(amount, filter.currency))
+        : null;
+
+    return {
+        filter,
+        textSearch: Boolean(query.q),
+        facets,
+        priceBuckets,
+        sortField,
+        direction,
+        limit,
+        page: cursor ? null : page,
+        cursor
+    };
+}
+
+/**
+ * Stages shared by every catalog query: the filter itself plus the computed
+ * fields later stages rely on.
+ */
+function buildMatchStages(options) {
+    const stages = [{ $match: options.filter }];
+    if (options.textSearch) {
+        stages.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+    return stages;
+}
+
+/**
+ * Facet sub-pipelines counting the filtered products per category, brand,
+ * rating band and, when filtering on a currency, price bucket.
+ */
+function buildFacetStages(options) {
+    const stages = {
+        categoryCounts: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            {
+                $lookup: {
+                    from: Category.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'category'
+                }
+            },
+            { $project: { count: 1, name: { $arrayElemAt: ['$category.name', 0] } } },
+            { $sort: { count: -1, name: 1 } }
+        ],
+        brandCounts: [
+            { $match: { brand: { $nin: ['', null] } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ],
+        ratingCounts: [
+            {
+                $bucket: {
+                    groupBy: '$rating',
+                    boundaries: [...RATING_BANDS, Infinity],
+                    default: 'other',
+                    output: { count: { $sum: 1 } }
+                }
+            }
+        ]
+    };
+    if (options.priceBuckets) {
+        stages.priceCounts = [
+            {
+                $bucket: {
+                    groupBy: '$price',
+                    boundaries: [...options.priceBuckets, Infinity],
+                    default: 'other',
+                    output: { count: { $sum: 1 } }
+                }
+            }
+        ];
+    }
+    return stages;
+}
+
+function shapeBuckets(buckets, bounds) {
+    return buckets
+        .filter(bucket => bucket._id !== 'other')
+        .map(bucket => {
+            const index = bounds.indexOf(bucket._id);
+            return {
+                min: bucket._id,
+                max: index < bounds.length - 1 ? bounds[index + 1] : null,
+                count: bucket.count
+            };
+        });
+}
+
+function shapeFacets(result, options) {
+    return {
+        categories: result.categoryCounts.map(item => ({ id: item._id, name: item.name || null, count: item.count })),
+        brands: result.brandCounts.map(item => ({ brand: item._id, count: item.count })),
+        priceRanges: options.priceBuckets ? shapeBuckets(result.priceCounts, options.priceBuckets) : [],
+        ratings: shapeBuckets(result.ratingCounts, RATING_BANDS)
+    };
+}
+
+function buildProductPipeline(options) {
+    const { sortField, direction, limit, cursor } = options;
+    const page = [];
+
+    if (cursor) {
+        const op = direction === 1 ? '$gt' : '$lt';
+        page.push({
+            $match: {
+                $or: [
+                    { [sortField]: { [op]: cursor.value } },
+                    { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+                ]
+            }
+        });
+    }
+    page.push({ $sort: { [sortField]: direction, _id: direction } });
+    if (!cursor) {
+        page.push({ $skip: (options.page - 1) * limit });
+    }
+    // one extra document tells us whether there is a next page
+    page.push({ $limit: limit + 1 });
+
+    return [
+        ...buildMatchStages(options),
+        {
+            $facet: {
+                products: page,
+                total: [{ $count: 'count' }],
+                ...(options.facets ? buildFacetStages(options) : {})
+            }
+        }
+    ];
+}
+
+/**
+ * Turn the raw $facet result into the paginated response payload. Returns
+ * plain documents; the caller hydrates and populates them.
+ */
+function shapeProductPage(result, options) {
+    const total = result.total.length ? result.total[0].count : 0;
+    const docs = result.products.slice(0, options.limit);
+    const hasMore = result.products.length > options.limit;
+    const last = docs[docs.length - 1];
+    const nextCursor = hasMore && last ? encodeCursor(last[options.sortField], last._id.toString()) : null;
+
+    docs.forEach(doc => {
+        delete doc.score;
+    });
+
+    const shaped = {
+        docs,
+        total,
+        page: options.page,
+        limit: options.limit,
+        totalPages: Math.ceil(total / options.limit),
+        nextCursor
+    };
+    if (options.facets) {
+        shaped.facets = shapeFacets(result, options);
+    }
+    return shaped;
+}
+
+module.exports = {
+    buildProductFilter,
+    buildMatchStages,
+    parseProductQuery,
+    buildProductPipeline,
+    shapeProductPage
+};
@@ -0,0 +1,162 @@
+const { Order } = require('../models/order');
+const { Product } = require('../models/product');
+const { PURCHASED_STATUSES } = require('./order-status');
+
+// "Frequently bought together" is worked out for the whole catalog in one
+// aggregation over past orders and kept in memory; it is rebuilt every
+// RECOMMENDATIONS_REFRESH_MINUTES. Pairs bought together in fewer than
+// RECOMMENDATIONS_MIN_ORDERS orders are too thin to count.
+
+const REFRESH_MINUTES = Number(process.env.RECOMMENDATIONS_REFRESH_MINUTES || 60);
+const MIN_ORDERS = Number(process.env.RECOMMENDATIONS_MIN_ORDERS || 2);
+// bought-together products kept per product
+const MAX_PER_PRODUCT = 50;
+
+const cache = {
+    boughtTogether: new Map(),
+    computedAt: null,
+    refreshing: null
+};
+
+/**
+ * Count, for every pair of products, the orders containing both. Resolves to
+ * a Map of product id => [{ product, orders }], most orders first.
+ */
+async function computeBoughtTogether() {
+    const pairs = await Order.aggregate([
+        { $match: { status: { $in: PURCHASED_STATUSES } } },
+        {
+            $lookup: {
+                from: 'orderitems',
+                localField: 'orderItems',
+                foreignField: '_id',
+                as: 'items'
+            }
+        },
+        // each product once per order, however many lines or variants it had
+        { $project: { products: { $setUnion: ['$items.product', []] } } },
+        { $match: { 'products.1': { $exists: true } } },
+        { $project: { product: '$products', other: '$products' } },
+        { $unwind: '$product' },
+        { $unwind: '$other' },
+        { $match: { $expr: { $ne: ['$product', '$other'] } } },
+        { $group: { _id: { product: '$product', other: '$other' }, orders: { $sum: 1 } } },
+        { $match: { orders: { $gte: MIN_ORDERS } } },
+        { $sort: { orders: -1, '_id.other': 1 } },
+        {
+            $group: {
+                _id: '$_id.product',
+                related: { $push: { product: '$_id.other', orders: '$orders' } }
+            }
+        },
+        { $project: { related: { $slice: ['$related', MAX_PER_PRODUCT] } } }
+    ]).allowDiskUse(true);
+
+    return new Map(pairs.map(entry => [String(entry._id), entry.related]));
+}
+
+/**
+ * Rebuild the cache. Concurrent calls share the same run.
+ */
+function refreshRecommendations() {
+    if (!cache.refreshing) {
+        cache.refreshing = computeBoughtTogether()
+            .then(boughtTogether => {
+                cache.boughtTogether = boughtTogether;
+                cache.computedAt = new Date();
+            })
+            .finally(() => {
+                cache.refreshing = null;
+            });
+    }
+    return cache.refreshing;
+}
+
+function isStale() {
+    return !cache.computedAt || Date.now() - cache.computedAt.getTime() > REFRESH_MINUTES * 60 * 1000;
+}
+
+/**
+ * Refresh the cache in the background every RECOMMENDATIONS_REFRESH_MINUTES.
+ */
+function startRecommendationRefresh() {
+    const refresh = () => refreshRecommendations().catch(err => {
+        console.error('Failed to refresh product recommendations', err);
+    });
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+// products sharing both category and brand come before those sharing one
+async function findSimilarProducts(product, excluded, limit) {
+    const shared = [];
+    if (product.category) shared.push({ category: product.category });
+    if (product.brand) shared.push({ brand: product.brand });
+    if (!shared.length || limit <= 0) return [];
+
+    const candidates = await Product.find({
+        ...Product.liveFilter(),
+        _id: { $nin: excluded },
+        $or: shared
+    })
+        .populate('category')
+        .sort({ rating: -1, numReviews: -1, dateCreated: -1 })
+        .limit(limit * 3);
+
+    const sameCategory = candidate => Boolean(product.category && candidate.category
+        && String(candidate.category._id) === String(product.category));
+    const sameBrand = candidate => Boolean(product.brand && candidate.brand === product.brand);
+    const score = candidate => Number(sameCategory(candidate)) + Number(sameBrand(candidate));
+
+    return candidates
+        .map((candidate, index) => ({ candidate, index }))
+        .sort((a, b) => score(b.candidate) - score(a.candidate) || a.index - b.index)
+        .slice(0, limit)
+        .map(({ candidate }) => ({
+            reason: sameCategory(candidate) ? 'same-category' : 'same-brand',
+            product: candidate
+        }));
+}
+
+/**
+ * Products to show next to `product`: those frequently bought with it, then,
+ * when there is not enough order history, live products of the same category
+ * or brand. Resolves to [{ reason, orders?, product }] with at most `limit`
+ * entries; reason is 'bought-together', 'same-category' or 'same-brand'.
+ */
+async function findRelatedProducts(product, { limit }) {
+    if (isStale()) {
+        // serve what we have and only wait when there is nothing yet
+        const refresh = refreshRecommendations();
+        if (!cache.computedAt) await refresh;
+        else refresh.catch(err => console.error('Failed to refresh product recommendations', err));
+    }
+
+    const boughtTogether = cache.boughtTogether.get(String(product._id)) || [];
+    const live = await Product.find({
+        ...Product.liveFilter(),
+        _id: { $in: boughtTogether.map(entry => entry.product) }
+    }).populate('category');
+    const liveById = new Map(live.map(candidate => [String(candidate._id), candidate]));
+
+    const related = boughtTogether
+        .filter(entry => liveById.has(String(entry.product)))
+        .slice(0, limit)
+        .map(entry => ({
+            reason: 'bought-together',
+            orders: entry.orders,
+            product: liveById.get(String(entry.product))
+        }));
+
+    const excluded = [product._id, ...related.map(entry => entry.product._id)];
+    const similar = await findSimilarProducts(product, excluded, limit - related.length);
+    return related.concat(similar);
+}
+
+module.exports = {
+    findRelatedProducts,
+    refreshRecommendations,
+    startRecommendationRefresh
+};
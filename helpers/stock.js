@@ -0,0 +1,182 @@
+const { Product } = require('../models/product');
+const { InventoryMovement } = require('../models/inventory-movement');
+
+// Every stock change goes through here so it is recorded in the inventory
+// ledger. Changes are conditional updates rather than a transaction (the
+// database may be a standalone server): a decrement only applies while
+// enough stock is left, and a failed order gives back what it already took.
+
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD || 5);
+
+function groupLines(lines) {
+    const groups = new Map();
+    lines.forEach((line, index) => {
+        const key = `${line.product}:${line.variant || ''}`;
+        if (!groups.has(key)) {
+            groups.set(key, { product: line.product, variant: line.variant, quantity: 0, indexes: [] });
+        }
+        const group = groups.get(key);
+        group.quantity += line.quantity;
+        group.indexes.push(index);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Add `quantity` (negative to remove) to the stock of a product or variant,
+ * unless that would take it below zero. Resolves to { balance, sku } after
+ * the change, or null when the stock was short or the product is gone.
+ */
+async function changeStock({ product, variant, quantity }) {
+    const shortage = quantity < 0 ? { $gte: -quantity } : undefined;
+    let filter;
+    let update;
+    if (variant) {
+        const match = { _id: variant };
+        if (shortage) match.countInStock = shortage;
+        filter = { _id: product, variants: { $elemMatch: match } };
+        update = { $inc: { 'variants.$.countInStock': quantity, countInStock: quantity } };
+    } else {
+        filter = { _id: product };
+        if (shortage) filter.countInStock = shortage;
+        update = { $inc: { countInStock: quantity } };
+    }
+
+    const updated = await Product.findOneAndUpdate(filter, update, { new: true });
+    if (!updated) return null;
+    if (!variant) return { balance: updated.countInStock };
+    const changed = updated.findVariant(variant);
+    return { balance: changed.countInStock, sku: changed.sku };
+}
+
+function recordMovements(movements) {
+    return movements.length ? InventoryMovement.insertMany(movements) : Promise.resolve([]);
+}
+
+/**
+ * Apply and record a single stock movement, e.g. a goods receipt or a manual
+ * adjustment. Resolves to the saved movement, or null when it would take
+ * stock below zero (or the product or variant does not exist).
+ */
+async function moveStock({ product, variant, quantity, type, reason, user, order }) {
+    const result = await changeStock({ product, variant, quantity });
+    if (!result) return null;
+    const [movement] = await recordMovements([{
+        product, variant, sku: result.sku, type, quantity, balance: result.balance, reason, user, order
+    }]);
+    return movement;
+}
+
+/**
+ * Take stock for order lines ({ product, variant, quantity } with ids). Lines
+ * for the same product and variant are reserved together. Either everything
+ * is reserved, or nothing is and the result lists the lines that were short:
+ * resolves to { ok, errors: [{ index, product, message }] }. `context`
+ * ({ order, user }) is recorded on the ledger's sale entries.
+ */
+async function reserveStock(lines, context = {}) {
+    const groups = groupLines(lines);
+    const reserved = [];
+    const errors = [];
+
+    for (const group of groups) {
+        const result = await changeStock({ ...group, quantity: -group.quantity });
+        if (result) {
+            reserved.push({ group, result });
+        } else {
+            group.indexes.forEach(index => errors.push({
+                index,
+                product: String(group.product),
+                message: 'not enough stock'
+            }));
+        }
+    }
+
+    if (errors.length) {
+        // nothing was sold, so the give-back is not recorded either
+        await Promise.all(reserved.map(({ group }) => changeStock(group)));
+        return { ok: false, errors: errors.sort((a, b) => a.index - b.index) };
+    }
+
+    await recordMovements(reserved.map(({ group, result }) => ({
+        product: group.product,
+        variant: group.variant,
+        sku: result.sku,
+        type: 'sale',
+        quantity: -group.quantity,
+        balance: result.balance,
+        order: context.order,
+        user: context.user
+    })));
+    return { ok: true, errors };
+}
+
+/**
+ * Give back stock taken for order lines, e.g. when an order is cancelled.
+ * `context` ({ order, user, reason }) is recorded on the ledger's entries.
+ */
+async function releaseStock(lines, context = {}) {
+    const released = await Promise.all(groupLines(lines).map(async group => ({
+        group,
+        result: await changeStock(group)
+    })));
+    await recordMovements(released.filter(({ result }) => result).map(({ group, result }) => ({
+        product: group.product,
+        variant: group.variant,
+        sku: result.sku,
+        type: 'return',
+        quantity: group.quantity,
+        balance: result.balance,
+        reason: context.reason || '',
+        order: context.order,
+        user: context.user
+    })));
+}
+
+/**
+ * Record the stock a new product (and its variants) starts with. Pass
+ * `variants` to only record some of them, e.g. a variant just added.
+ */
+function recordInitialStock(product, user, variants = product.variants) {
+    const entries = product.variants.length
+        ? variants.map(variant => ({
+            product: product._id, variant: variant._id, sku: variant.sku, quantity: variant.countInStock
+        }))
+        : [{ product: product._id, quantity: product.countInStock }];
+
+    return recordMovements(entries.filter(entry => entry.quantity > 0).map(entry => ({
+        ...entry,
+        type: 'receipt',
+        balance: entry.quantity,
+        reason: 'initial stock',
+        user
+    })));
+}
+
+/**
+ * Record the stock that went away with variants removed from a product (the
+ * product already saved without them). A product left without variants keeps
+ * their stock as its own, so nothing is recorded then.
+ */
+function recordRemovedVariants(product, variants, user, reason) {
+    if (!product.variants.length) return Promise.resolve([]);
+    return recordMovements(variants.filter(variant => variant.countInStock > 0).map(variant => ({
+        product: product._id,
+        variant: variant._id,
+        sku: variant.sku,
+        type: 'adjustment',
+        quantity: -variant.countInStock,
+        balance: 0,
+        reason,
+        user
+    })));
+}
+
+module.exports = {
+    LOW_STOCK_THRESHOLD,
+    moveStock,
+    reserveStock,
+    releaseStock,
+    recordInitialStock,
+    recordRemovedVariants
+};
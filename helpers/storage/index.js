@@ -0,0 +1,102 @@
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Uploaded files are written through a storage driver chosen by
+// STORAGE_DRIVER (local or s3). Files are addressed by a flat key (the file
+// name); public URLs are the key appended to STORAGE_PUBLIC_URL, so they do
+// not depend on the host or protocol of the request that uploaded them.
+//
+// local: STORAGE_LOCAL_DIR (default public/uploads, served by the app)
+// s3:    S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//        S3_PREFIX, and for MinIO or other stand-ins S3_ENDPOINT
+//        (e.g. http://localhost:9000) with S3_FORCE_PATH_STYLE=true
+
+const DRIVERS = {
+    local: () => createLocalStorage({
+        directory: process.env.STORAGE_LOCAL_DIR
+    }),
+    s3: () => createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX
+    })
+};
+
+function defaultPublicUrl(driver) {
+    if (driver === 's3' && process.env.S3_ENDPOINT) {
+        return `${process.env.S3_ENDPOINT.replace(/\/+$/, '')}/${process.env.S3_BUCKET}/${process.env.S3_PREFIX || ''}`;
+    }
+    if (driver === 's3') {
+        return `https://${process.env.S3_BUCKET}.s3.amazonaws.com/${process.env.S3_PREFIX || ''}`;
+    }
+    return '/public/uploads/';
+}
+
+/**
+ * Wrap a driver with URL handling. Drivers implement put(key, buffer,
+ * contentType), delete(key) and list(), which resolves to
+ * [{ key, lastModified }].
+ */
+function createStorage(driver, publicUrl) {
+    const baseUrl = publicUrl.endsWith('/') ? publicUrl : `${publicUrl}/`;
+
+    return {
+        driver,
+        publicUrl: baseUrl,
+
+        urlFor(key) {
+            return `${baseUrl}${key}`;
+        },
+
+        /**
+         * The key of a stored file from its URL. Also accepts URLs stored
+         * before the storage setup changed, by taking the last path segment.
+         */
+        keyFromUrl(url) {
+            if (!url) return null;
+            if (url.startsWith(baseUrl)) return url.slice(baseUrl.length);
+            const match = /\/public\/uploads\/([^/?#]+)/.exec(url);
+            return match ? decodeURIComponent(match[1]) : null;
+        },
+
+        async save(key, buffer, contentType) {
+            await driver.put(key, buffer, contentType);
+            return `${baseUrl}${key}`;
+        },
+
+        remove(key) {
+            return driver.delete(key);
+        },
+
+        list() {
+            return driver.list();
+        }
+    };
+}
+
+let storage;
+
+/**
+ * The storage configured through the environment, created on first use.
+ */
+function getStorage() {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        if (!DRIVERS[name]) {
+            throw new Error(`Unknown storage driver ${name}`);
+        }
+        storage = createStorage(DRIVERS[name](), process.env.STORAGE_PUBLIC_URL || defaultPublicUrl(name));
+    }
+    return storage;
+}
+
+module.exports = {
+    createStorage,
+    createLocalStorage,
+    createS3Storage,
+    getStorage
+};
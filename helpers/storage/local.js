@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver writing files to a directory on local disk. The app serves
+ * public/uploads statically, so that is the default directory.
+ */
+function createLocalStorage(options) {
+    const directory = options.directory || path.join(__dirname, '..', '..', 'public', 'uploads');
+
+    function filePath(key) {
+        const resolved = path.resolve(directory, key);
+        if (!resolved.startsWith(path.resolve(directory) + path.sep)) {
+            throw new Error(`Invalid storage key ${key}`);
+        }
+        return resolved;
+    }
+
+    return {
+        name: 'local',
+        directory,
+
+        async put(key, buffer) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(filePath(key), buffer);
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(filePath(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        },
+
+        async list() {
+            try {
+                const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+                return Promise.all(entries.filter(entry => entry.isFile()).map(async entry => {
+                    const stat = await fs.promises.stat(filePath(entry.name));
+                    return { key: entry.name, lastModified: stat.mtime };
+                }));
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+        }
+    };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,68 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage driver for S3 and S3-compatible services. Set `endpoint` and
+ * `forcePathStyle` to point it at MinIO or another local stand-in.
+ */
+function createS3Storage(options) {
+    if (!options.bucket) {
+        throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    }
+    const prefix = options.prefix || '';
+    const client = new S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: Boolean(options.forcePathStyle),
+        credentials: options.accessKeyId ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey
+        } : undefined
+    });
+
+    return {
+        name: 's3',
+        client,
+        bucket: options.bucket,
+
+        async put(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: options.bucket,
+                Key: `${prefix}${key}`,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({
+                Bucket: options.bucket,
+                Key: `${prefix}${key}`
+            }));
+        },
+
+        async list() {
+            const objects = [];
+            let token;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: options.bucket,
+                    Prefix: prefix,
+                    ContinuationToken: token
+                }));
+                (page.Contents || []).forEach(object => objects.push({
+                    key: object.Key.slice(prefix.length),
+                    lastModified: object.LastModified
+                }));
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+            return objects;
+        }
+    };
+}
+
+module.exports = createS3Storage;
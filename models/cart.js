@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const GUEST_CART_DAYS = Number(process.env.GUEST_CART_DAYS || 30);
+
+const cartItemSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // set for products with variants
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // price when the line was added, to warn about price changes
+    unitPrice: {
+        type: Number
+    },
+    dateAdded: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// a cart belongs to a signed-in user, or to a guest holding its token
+const cartSchema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    token: {
+        type: String
+    },
+    items: [cartItemSchema],
+    dateUpdated: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+cartSchema.pre('save', function (next) {
+    this.dateUpdated = new Date();
+    next();
+});
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ token: 1 }, { unique: true, sparse: true });
+// abandoned guest carts go away on their own
+cartSchema.index(
+    { dateUpdated: 1 },
+    { expireAfterSeconds: GUEST_CART_DAYS * 24 * 3600, partialFilterExpression: { token: { $exists: true } } }
+);
+
+/**
+ * The line for a product (and variant), if the cart has one.
+ */
+cartSchema.methods.findLine = function (product, variant) {
+    return this.items.find(item => String(item.product) === String(product)
+        && String(item.variant || '') === String(variant || '')) || null;
+};
+
+cartSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+cartSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.Cart = mongoose.model('Cart', cartSchema);
@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const { ATTRIBUTE_TYPES, ATTRIBUTE_NAME } = require('../helpers/product-attributes');
+
+// a specification the category's products carry, e.g. screen size in inches;
+// allowedValues restricts string attributes to a fixed list
+const attributeSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        match: ATTRIBUTE_NAME
+    },
+    type: {
+        type: String,
+        enum: ATTRIBUTE_TYPES,
+        default: 'string'
+    },
+    unit: {
+        type: String
+    },
+    allowedValues: [{
+        type: String
+    }],
+    required: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
 
 const categorySchema = mongoose.Schema({
     name: {
@@ -10,7 +36,30 @@ const categorySchema = mongoose.Schema({
     },
     color: {
         type: String
-    }
+    },
+    // null for top-level categories
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true
+    },
+    // name in other locales, keyed by locale, see helpers/locale
+    translations: {
+        type: Map,
+        of: new mongoose.Schema({ name: String }, { _id: false }),
+        default: {}
+    },
+    // subcategories inherit these, see helpers/category-tree
+    attributes: [attributeSchema]
 })
 
+categorySchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+categorySchema.set('toJSON', {
+    virtuals: true,
+});
+
 exports.Category = mongoose.model('Category', categorySchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by an order. Per-user limits count these; the entry is
+// removed again when the order is cancelled.
+const couponRedemptionSchema = mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    // discount the order got, in minor units of the order's currency
+    amount: {
+        type: Number,
+        default: 0
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+couponRedemptionSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+couponRedemptionSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const money = require('../helpers/money');
+
+// A discount code. `value` is a percentage (1-100) for percentage coupons and
+// an amount in minor units of `currency` for fixed ones; free shipping
+// coupons have none. An empty scope applies to the whole order.
+const couponSchema = mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,32}$/, 'code must be 3 to 32 letters, digits, - or _'],
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping'],
+        required: true
+    },
+    value: {
+        type: Number,
+        default: 0,
+        validate: {
+            validator: function (value) {
+                if (this.type === 'percentage') return value > 0 && value <= 100;
+                if (this.type === 'fixed') return money.isMinorUnits(value) && value > 0;
+                return true;
+            },
+            message: 'value must be a percentage between 0 and 100, or a positive integer amount in minor units for fixed coupons'
+        }
+    },
+    // currency of `value` and `minOrderValue`; orders in other currencies cannot use the coupon
+    currency: {
+        type: String,
+        default: money.DEFAULT_CURRENCY,
+        uppercase: true,
+        validate: {
+            validator: money.isCurrencyCode,
+            message: 'currency must be an ISO 4217 code'
+        }
+    },
+    scope: {
+        products: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        }],
+        // subcategories are included
+        categories: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category'
+        }],
+        brands: [{
+            type: String,
+            trim: true
+        }]
+    },
+    // subtotal the whole order must reach, in minor units
+    minOrderValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+        validate: {
+            validator: money.isMinorUnits,
+            message: 'minOrderValue must be an integer amount in minor units'
+        }
+    },
+    // null for no limit
+    maxUses: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    maxUsesPerUser: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    // orders that used the code and were not cancelled
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date,
+        validate: {
+            validator: function (endsAt) {
+                return !endsAt || !this.startsAt || endsAt > this.startsAt;
+            },
+            message: 'endsAt must be after startsAt'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+couponSchema.index({ code: 1 }, { unique: true });
+
+couponSchema.pre('validate', function (next) {
+    if (this.type === 'free_shipping') this.value = 0;
+    // value and endsAt are checked against type and startsAt, so recheck them when those change
+    if (this.isModified('type')) this.markModified('value');
+    if (this.isModified('startsAt')) this.markModified('endsAt');
+    next();
+});
+
+couponSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+couponSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.Coupon = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One entry per change of a product's stock. `quantity` is signed: positive
+// when stock comes in, negative when it goes out.
+const inventoryMovementSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // set for products with variants
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+        type: String
+    },
+    type: {
+        type: String,
+        enum: ['receipt', 'sale', 'return', 'adjustment'],
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true
+    },
+    // stock of the product (or variant) after the movement
+    balance: {
+        type: Number
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+inventoryMovementSchema.index({ product: 1, dateCreated: -1 });
+
+inventoryMovementSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+inventoryMovementSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -8,6 +8,18 @@ const orderItemSchema = mongoose.Schema({
     product:{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product'
+    },
+    // set when the product has variants; sku is kept so the line stays readable
+    // even if the variant is later removed from the product
+    variant:{
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku:{
+        type: String
+    },
+    // price of one unit at the time of ordering, in minor units of the order currency
+    unitPrice:{
+        type: Number
     }
 
 })
@@ -1,4 +1,125 @@
 const mongoose = require('mongoose');
+const money = require('../helpers/money');
+const { ORDER_STATUSES } = require('../helpers/order-status');
+
+// one status change; the first entry is the order being placed
+const statusChangeSchema = mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: String
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// a coupon applied to the order and what it took off each line
+const discountSchema = mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping'],
+        required: true
+    },
+    value: {
+        type: Number
+    },
+    // minor units of the order currency
+    amount: {
+        type: Number,
+        default: 0
+    },
+    freeShipping: {
+        type: Boolean,
+        default: false
+    },
+    lines: [{
+        _id: false,
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'OrderItem'
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        amount: {
+            type: Number
+        }
+    }]
+}, { _id: false });
+
+// how shipping was charged, see helpers/checkout
+const shippingSchema = mongoose.Schema({
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingZone'
+    },
+    name: {
+        type: String
+    },
+    basis: {
+        type: String
+    },
+    // total weight in grams or order value in minor units, depending on basis
+    measure: {
+        type: Number
+    },
+    // price of the zone's rate, amount is what was charged
+    price: {
+        type: Number
+    },
+    freeShipping: {
+        type: Boolean,
+        default: false
+    },
+    amount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// tax charged under one rule
+const taxSchema = mongoose.Schema({
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+    },
+    name: {
+        type: String
+    },
+    rate: {
+        type: Number
+    },
+    // minor units the rate applied to, after discounts
+    taxable: {
+        type: Number
+    },
+    amount: {
+        type: Number
+    }
+}, { _id: false });
 
 const orderSchema = mongoose.Schema({
     orderItems: [{
@@ -25,28 +146,72 @@ const orderSchema = mongoose.Schema({
         type: String,
         required: true,
     },
+    // state or province, used by tax rules and shipping zones
+    region: {
+        type: String,
+    },
     phone: {
         type: String,
         required: true,
     },
+    // see helpers/order-status for the allowed transitions
     status: {
         type: String,
         required: true,
+        enum: ORDER_STATUSES,
         default: 'Pending',
     },
+    statusHistory: [statusChangeSchema],
+    // amounts below are integers in minor units of `currency`; totalPrice is
+    // subtotal - discountTotal + shippingTotal + taxTotal
+    subtotal: {
+        type: Number,
+    },
+    discounts: [discountSchema],
+    discountTotal: {
+        type: Number,
+        default: 0,
+    },
+    shipping: shippingSchema,
+    shippingTotal: {
+        type: Number,
+        default: 0,
+    },
+    taxes: [taxSchema],
+    taxTotal: {
+        type: Number,
+        default: 0,
+    },
     totalPrice: {
         type: Number,
+        validate: {
+            validator: money.isMinorUnits,
+            message: 'totalPrice must be an integer amount in minor units'
+        }
+    },
+    currency: {
+        type: String,
+        default: money.DEFAULT_CURRENCY,
+        uppercase: true,
     },
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
     },
+    // true while the order holds stock of its items; cleared when the stock
+    // is given back, so it is never returned twice, and when the order ships
+    stockReserved: {
+        type: Boolean,
+        default: false,
+    },
     dateOrdered: {
         type: Date,
         default: Date.now,
     },
 })
 
+orderSchema.index({ status: 1, dateOrdered: -1 });
+
 orderSchema.virtual('id').get(function () {
     return this._id.toHexString();
 });
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay an order through a payment provider. `reference` is the
+// provider's id of the attempt; webhook events are matched on it and kept in
+// `events` so payments can be reconciled with the provider's records.
+const paymentEventSchema = mongoose.Schema({
+    // the provider's event id, events seen before are ignored
+    id: {
+        type: String
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number
+    },
+    currency: {
+        type: String
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const paymentSchema = mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    reference: {
+        type: String
+    },
+    // what the order asked for, in minor units of `currency`
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    failureReason: {
+        type: String
+    },
+    // set when the provider took the money but the order could not be
+    // marked Paid, e.g. it was cancelled meanwhile; needs a refund
+    needsReview: {
+        type: Boolean,
+        default: false
+    },
+    note: {
+        type: String
+    },
+    events: [paymentEventSchema],
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+    dateUpdated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+paymentSchema.index({ provider: 1, reference: 1 }, { unique: true, partialFilterExpression: { reference: { $type: 'string' } } });
+paymentSchema.index({ order: 1, dateCreated: -1 });
+paymentSchema.index({ status: 1, dateCreated: -1 });
+
+paymentSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+paymentSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.Payment = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// one version of a product, saved on every create, update and delete
+const productRevisionSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // 1 for the created product, counting up per product
+    version: {
+        type: Number,
+        required: true
+    },
+    // baseline is the state found when a product older than the history
+    // was first changed
+    action: {
+        type: String,
+        enum: ['baseline', 'create', 'update', 'delete', 'revert'],
+        required: true
+    },
+    // the whole product as it was after the change (before it, for deletes)
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // fields that differ from the previous version
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    // version a revert went back to
+    revertedTo: {
+        type: Number
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+productRevisionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+productRevisionSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+productRevisionSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
@@ -1,14 +1,112 @@
 const mongoose = require('mongoose');
+const money = require('../helpers/money');
+const { SUPPORTED_LOCALES } = require('../helpers/locale');
 // Import mongoose for MongoDB interactions
 // In mongoose, models is collections on MongoDB cloud and also table in SQL databases
 // schema maps to a collection in the database
 
 
+// prices are integer amounts in minor units of the product's currency
+const priceValidator = {
+    validator: money.isMinorUnits,
+    message: 'price must be an integer amount in minor units'
+};
+
+// blank identifiers are left unset so the sparse unique indexes ignore them
+function emptyToUndefined(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text || undefined;
+}
+
+// URLs of the resized copies generated for one uploaded image
+const renditionsSchema = mongoose.Schema({
+    thumbnail: String,
+    medium: String,
+    large: String,
+    webp: {
+        thumbnail: String,
+        medium: String,
+        large: String
+    }
+}, { _id: false });
+
+// texts of the product in one locale, see helpers/locale
+const translationSchema = mongoose.Schema({
+    name: String,
+    description: String,
+    richDescription: String
+}, { _id: false });
+
+// an option axis such as size or color, with the values a variant may take
+const optionSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    values: [{
+        type: String,
+        required: true
+    }]
+}, { _id: false });
+
+// a purchasable combination of option values, e.g. { size: 'M', color: 'red' }
+const variantSchema = mongoose.Schema({
+    sku: {
+        type: String,
+        required: true
+    },
+    options: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: priceValidator
+    },
+    countInStock: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // shipping weight in grams, null uses the product's
+    weight: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    image: {
+        type: String,
+        default: ''
+    },
+    imageRenditions: renditionsSchema
+});
+
+variantSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+variantSchema.set('toJSON', {
+    virtuals: true
+})
+
 const productSchema = mongoose.Schema({
     name: {
         type: String,
         required: true
     },
+    // optional stable identifiers used to match products on bulk import
+    sku: {
+        type: String,
+        set: emptyToUndefined
+    },
+    slug: {
+        type: String,
+        set: value => emptyToUndefined(value && String(value).toLowerCase()),
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'slug may only contain lowercase letters, digits and dashes']
+    },
     description: {
         type: String,
         required: true
@@ -24,13 +122,27 @@ const productSchema = mongoose.Schema({
     images: [{
         type: String,
     }],
+    // renditions of `image` and, index for index, of `images`
+    imageRenditions: renditionsSchema,
+    galleryRenditions: [renditionsSchema],
     brand: {
         type: String,
         default: ''
     },
     price: {
+        type: Number,
+        default: 0,
+        min: 0,
+        validate: priceValidator
+    },
+    currency: {
         type: String,
-        default: 0
+        default: money.DEFAULT_CURRENCY,
+        uppercase: true,
+        validate: {
+            validator: money.isCurrencyCode,
+            message: 'currency must be an ISO 4217 code'
+        }
     },
     category: {
         type: mongoose.Types.ObjectId,
@@ -40,9 +152,36 @@ const productSchema = mongoose.Schema({
     countInStock: {
         type: Number,
         required: true,
+        min: 0
+    },
+    // shipping weight in grams
+    weight: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // the low-stock report lists the product once stock drops to this level,
+    // null uses LOW_STOCK_THRESHOLD
+    lowStockThreshold: {
+        type: Number,
         min: 0,
-        max: 255
+        default: null
     },
+    // name, description and richDescription in other locales, keyed by locale
+    translations: {
+        type: Map,
+        of: translationSchema,
+        default: {}
+    },
+    // values of the category's attributes, e.g. { screenSize: 6.1 }; checked
+    // against the category by the routes (helpers/product-attributes)
+    attributes: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    options: [optionSchema],
+    variants: [variantSchema],
     rating: {
         type: Number,
         default: 0
@@ -55,12 +194,196 @@ const productSchema = mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // only published products inside their publishAt/unpublishAt window are
+    // shown on the public routes; products saved before statuses existed have
+    // none and count as published
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'archived'],
+        default: 'published'
+    },
+    publishAt: {
+        type: Date,
+        default: null
+    },
+    unpublishAt: {
+        type: Date,
+        default: null
+    },
     dateCreated: {
         type: Date,
         default: Date.now
     },
 });
 
+// Variants must use exactly the product's option axes with allowed values and
+// unique SKUs. When a product has variants, its own stock and price are derived
+// from them so catalog filters keep working on the product level.
+productSchema.pre('validate', function (next) {
+    if (!this.variants || !this.variants.length) return next();
+
+    const axes = new Map(this.options.map(option => [option.name, option.values]));
+    const skus = new Set();
+    const combinations = new Set();
+
+    for (const variant of this.variants) {
+        if (skus.has(variant.sku)) {
+            return next(new Error(`Duplicate SKU ${variant.sku}`));
+        }
+        skus.add(variant.sku);
+
+        const values = variant.options || new Map();
+        if (values.size !== axes.size) {
+            return next(new Error(`Variant ${variant.sku} must set every option: ${[...axes.keys()].join(', ')}`));
+        }
+        for (const [name, value] of values) {
+            if (!axes.has(name)) {
+                return next(new Error(`Variant ${variant.sku} has unknown option ${name}`));
+            }
+            if (!axes.get(name).includes(value)) {
+                return next(new Error(`Variant ${variant.sku} has invalid ${name} value ${value}`));
+            }
+        }
+
+        const key = [...axes.keys()].map(name => values.get(name)).join('/');
+        if (combinations.has(key)) {
+            return next(new Error(`Variant ${variant.sku} duplicates option combination ${key}`));
+        }
+        combinations.add(key);
+    }
+
+    this.countInStock = this.variants.reduce((sum, variant) => sum + variant.countInStock, 0);
+    this.price = Math.min(...this.variants.map(variant => variant.price));
+    next();
+});
+
+/**
+ * Gallery images paired with their renditions. Images uploaded before
+ * renditions existed have none.
+ */
+productSchema.methods.galleryEntries = function () {
+    return this.images.map((url, index) => ({
+        url,
+        renditions: this.galleryRenditions[index] ? this.galleryRenditions[index].toObject() : undefined
+    }));
+};
+
+/**
+ * Replace the gallery with the given entries, keeping `images` and
+ * `galleryRenditions` in the same order.
+ */
+productSchema.methods.setGallery = function (entries) {
+    this.images = entries.map(entry => entry.url);
+    this.galleryRenditions = entries.map(entry => entry.renditions || {});
+};
+
+// every path of a product document that holds an uploaded file URL
+const RENDITION_PATHS = ['thumbnail', 'medium', 'large', 'webp.thumbnail', 'webp.medium', 'webp.large'];
+const FILE_PATHS = [
+    'image',
+    'images',
+    'variants.image',
+    ...RENDITION_PATHS.map(path => `imageRenditions.${path}`),
+    ...RENDITION_PATHS.map(path => `galleryRenditions.${path}`),
+    ...RENDITION_PATHS.map(path => `variants.imageRenditions.${path}`)
+];
+
+function collectUrls(value, urls) {
+    if (typeof value === 'string') {
+        if (value) urls.add(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectUrls(item, urls));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectUrls(item, urls));
+    }
+    return urls;
+}
+
+/**
+ * URLs of every uploaded file the product references: main image, gallery,
+ * variant images and all of their renditions.
+ */
+productSchema.methods.fileUrls = function () {
+    const doc = this.toObject();
+    return collectUrls([
+        doc.image,
+        doc.images,
+        doc.imageRenditions,
+        doc.galleryRenditions,
+        (doc.variants || []).map(variant => [variant.image, variant.imageRenditions])
+    ], new Set());
+};
+
+/**
+ * The subset of `urls` still referenced by any product other than
+ * `excludeId`.
+ */
+productSchema.statics.findReferencedUrls = async function (urls, excludeId) {
+    const wanted = [...urls];
+    if (!wanted.length) return new Set();
+
+    const products = await this.find({
+        _id: { $ne: excludeId },
+        $or: FILE_PATHS.map(path => ({ [path]: { $in: wanted } }))
+    });
+    const referenced = new Set();
+    products.forEach(product => {
+        product.fileUrls().forEach(url => {
+            if (urls.has(url)) referenced.add(url);
+        });
+    });
+    return referenced;
+};
+
+productSchema.statics.FILE_PATHS = FILE_PATHS;
+
+productSchema.pre('validate', function (next) {
+    if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+        return next(new Error('unpublishAt must be after publishAt'));
+    }
+    next();
+});
+
+/**
+ * Query conditions matching products that are visible to the public at `now`.
+ */
+productSchema.statics.liveFilter = function (now = new Date()) {
+    return {
+        $and: [
+            { status: { $nin: ['draft', 'archived'] } },
+            { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+            { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+        ]
+    };
+};
+
+productSchema.methods.isLive = function (now = new Date()) {
+    return !['draft', 'archived'].includes(this.status)
+        && (!this.publishAt || this.publishAt <= now)
+        && (!this.unpublishAt || this.unpublishAt > now);
+};
+
+/**
+ * Find a variant by subdocument id or SKU.
+ */
+productSchema.methods.findVariant = function (idOrSku) {
+    if (!idOrSku) return null;
+    return this.variants.find(variant => variant.id === String(idOrSku) || variant.sku === String(idOrSku)) || null;
+};
+
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ slug: 1 }, { unique: true, sparse: true });
+
+// text index backing the free-text `q` search of GET /products, also over the
+// translated names and descriptions. A collection has only one text index, so
+// databases built with an older one need `npm run migrate:text-index`.
+const TEXT_INDEX_FIELDS = { name: 'text', description: 'text', brand: 'text' };
+SUPPORTED_LOCALES.forEach(locale => {
+    TEXT_INDEX_FIELDS[`translations.${locale}.name`] = 'text';
+    TEXT_INDEX_FIELDS[`translations.${locale}.description`] = 'text';
+});
+productSchema.index(TEXT_INDEX_FIELDS, { name: 'product_text' });
+
 productSchema.virtual('id').get(function () {
     return this._id.toHexString();
 });
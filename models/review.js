@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { Product } = require('./product');
+
+const reviewSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    comment: {
+        type: String,
+        default: ''
+    },
+    // only approved reviews are public and count towards the product rating
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'hidden'],
+        default: 'pending'
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+// one review per customer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+/**
+ * Recompute `rating` and `numReviews` of a product from its approved reviews.
+ */
+reviewSchema.statics.updateProductRating = async function (productId) {
+    const [stats] = await this.aggregate([
+        { $match: { product: mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        { $group: { _id: null, rating: { $avg: '$rating' }, numReviews: { $sum: 1 } } }
+    ]);
+
+    return Product.findByIdAndUpdate(productId, {
+        rating: stats ? Math.round(stats.rating * 10) / 10 : 0,
+        numReviews: stats ? stats.numReviews : 0
+    }, { new: true });
+};
+
+reviewSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+reviewSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.Review = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const money = require('../helpers/money');
+
+// Where a rate table applies: orders to one of `countries` (and `regions`,
+// when set). A zone without countries covers every address no other zone
+// does. Rates are picked by the order's total weight in grams or by its
+// value after discounts, in minor units of `currency`.
+const shippingRateSchema = mongoose.Schema({
+    // upper bound of the bracket (inclusive), null for no bound
+    upTo: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: {
+            validator: money.isMinorUnits,
+            message: 'price must be an integer amount in minor units'
+        }
+    }
+}, { _id: false });
+
+const shippingZoneSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    countries: [{
+        type: String,
+        trim: true,
+        uppercase: true
+    }],
+    regions: [{
+        type: String,
+        trim: true,
+        uppercase: true
+    }],
+    basis: {
+        type: String,
+        enum: ['weight', 'orderValue'],
+        required: true
+    },
+    rates: {
+        type: [shippingRateSchema],
+        validate: {
+            validator: rates => rates.length > 0,
+            message: 'a shipping zone needs at least one rate'
+        }
+    },
+    currency: {
+        type: String,
+        default: money.DEFAULT_CURRENCY,
+        uppercase: true,
+        validate: {
+            validator: money.isCurrencyCode,
+            message: 'currency must be an ISO 4217 code'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+/**
+ * The rate bracket `measure` (grams or minor units, see `basis`) falls in,
+ * or null when it is above every bracket.
+ */
+shippingZoneSchema.methods.rateFor = function (measure) {
+    const rate = [...this.rates]
+        .sort((a, b) => (a.upTo === null) - (b.upTo === null) || a.upTo - b.upTo)
+        .find(candidate => candidate.upTo === null || measure <= candidate.upTo);
+    return rate || null;
+};
+
+shippingZoneSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+shippingZoneSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
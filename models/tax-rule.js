@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A tax rate for orders shipped to `country` (and `region`, when set) on
+// products of `category` and its subcategories (any product when unset).
+// Prices are before tax; see helpers/checkout for how rules are picked.
+const taxRuleSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // compared case-insensitively with the order's country and region
+    country: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    region: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: ''
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // percent, e.g. 10 or 8.875
+    rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    // rules without a category may also tax the shipping cost
+    appliesToShipping: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+})
+
+taxRuleSchema.index({ country: 1, region: 1 });
+
+taxRuleSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+taxRuleSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.TaxRule = mongoose.model('TaxRule', taxRuleSchema);
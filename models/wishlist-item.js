@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// a product a user saved for later; variant is set when they picked one
+const wishlistItemSchema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    dateAdded: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+// each product (or variant) is on a user's wishlist once
+wishlistItemSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+
+wishlistItemSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+
+wishlistItemSchema.set('toJSON', {
+    virtuals: true,
+});
+
+exports.WishlistItem = mongoose.model('WishlistItem', wishlistItemSchema);
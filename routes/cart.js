@@ -0,0 +1,431 @@
+const { Product } = require('../models/product');
+const { User } = require('../models/user');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { CART_TOKEN_HEADER, loadCart, presentCart } = require('../helpers/cart');
+const { placeOrder } = require('../helpers/orders');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CartToken:
+ *       in: header
+ *       name: X-Cart-Token
+ *       schema:
+ *         type: string
+ *       description: Token of a guest cart. Signed-in users do not need it; a guest cart sent along is merged into their cart.
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         token:
+ *           type: string
+ *           description: Guest carts only, send it back in X-Cart-Token
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartLine'
+ *         itemCount:
+ *           type: number
+ *         subtotal:
+ *           type: integer
+ *           description: Total of the lines that can be ordered, in minor units of currency
+ *           example: 3998
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *         canCheckout:
+ *           type: boolean
+ *           description: Every line can be ordered as it is
+ *     CartLine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             slug:
+ *               type: string
+ *             image:
+ *               type: string
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         quantity:
+ *           type: number
+ *         unitPrice:
+ *           type: integer
+ *           description: Current price in minor units
+ *         currency:
+ *           type: string
+ *         lineTotal:
+ *           type: integer
+ *         inStock:
+ *           type: number
+ *         available:
+ *           type: boolean
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["only 2 in stock", "price changed from $19.99 to $17.99"]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart of the signed-in user or of a guest
+ */
+
+async function sendCart(req, res, cart) {
+    if (cart && cart.token) res.set(CART_TOKEN_HEADER, cart.token);
+    res.send(await presentCart(cart, req.locale));
+}
+
+/**
+ * Check a requested quantity of a product (and variant) for the cart.
+ * Returns { product, variant } or { status, message }.
+ */
+async function resolveCartLine(productId, variantId, quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1)
+        return { status: 400, message: 'quantity must be a positive integer' };
+    if (!mongoose.isValidObjectId(productId))
+        return { status: 400, message: 'Invalid Product Id' };
+    const product = await Product.findById(productId);
+    if (!product || !product.isLive())
+        return { status: 404, message: 'product not found!' };
+
+    let variant = null;
+    if (product.variants.length) {
+        variant = product.findVariant(variantId);
+        if (!variant)
+            return { status: 400, message: 'a valid variant is required for this product' };
+    }
+    const stock = variant ? variant.countInStock : product.countInStock;
+    if (stock < quantity)
+        return { status: 400, message: stock ? `only ${stock} in stock` : 'out of stock' };
+    return { product, variant };
+}
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: View the cart with current prices and stock
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: The cart, empty when there is none yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.get('/', async (req, res) => {
+    await sendCart(req, res, await loadCart(req));
+})
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Add a product to the cart
+ *     description: Adding a product (and variant) already in the cart increases its quantity. Guests get a new cart and token when they send none.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID or SKU, required for products with variants
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         headers:
+ *           X-Cart-Token:
+ *             schema:
+ *               type: string
+ *             description: Token of a guest cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid line or not enough stock
+ *       404:
+ *         description: Product not found
+ */
+router.post('/items', async (req, res) => {
+    const cart = await loadCart(req, { create: true });
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    const variantId = req.body.variant;
+
+    // check the quantity the line will have, not only the one added
+    const preview = await resolveCartLine(req.body.product, variantId, quantity);
+    if (preview.status)
+        return res.status(preview.status).send(preview.message)
+    const line = cart.findLine(preview.product._id, preview.variant ? preview.variant._id : null);
+    const resolved = line ? await resolveCartLine(req.body.product, variantId, line.quantity + quantity) : preview;
+    if (resolved.status)
+        return res.status(resolved.status).send(resolved.message)
+
+    const unitPrice = resolved.variant ? resolved.variant.price : resolved.product.price;
+    if (line) {
+        line.quantity += quantity;
+        line.unitPrice = unitPrice;
+    } else {
+        cart.items.push({
+            product: resolved.product._id,
+            variant: resolved.variant ? resolved.variant._id : null,
+            quantity,
+            unitPrice
+        });
+    }
+    await cart.save();
+    await sendCart(req, res, cart);
+})
+
+/**
+ * @swagger
+ * /cart/items/{lineId}:
+ *   put:
+ *     summary: Change the quantity of a cart line
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 description: 0 removes the line
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Line not in the cart
+ */
+router.put('/items/:lineId', async (req, res) => {
+    const cart = await loadCart(req);
+    const line = cart && mongoose.isValidObjectId(req.params.lineId) ? cart.items.id(req.params.lineId) : null;
+    if (!line)
+        return res.status(404).send('cart line not found!')
+
+    const quantity = Number(req.body.quantity);
+    if (quantity === 0) {
+        line.remove();
+    } else {
+        const resolved = await resolveCartLine(line.product, line.variant, quantity);
+        if (resolved.status)
+            return res.status(resolved.status).send(resolved.message)
+        line.quantity = quantity;
+        line.unitPrice = resolved.variant ? resolved.variant.price : resolved.product.price;
+    }
+    await cart.save();
+    await sendCart(req, res, cart);
+})
+
+/**
+ * @swagger
+ * /cart/items/{lineId}:
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Line not in the cart
+ */
+router.delete('/items/:lineId', async (req, res) => {
+    const cart = await loadCart(req);
+    const line = cart && mongoose.isValidObjectId(req.params.lineId) ? cart.items.id(req.params.lineId) : null;
+    if (!line)
+        return res.status(404).send('cart line not found!')
+
+    line.remove();
+    await cart.save();
+    await sendCart(req, res, cart);
+})
+
+/**
+ * @swagger
+ * /cart:
+ *   delete:
+ *     summary: Empty the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: The empty cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.delete('/', async (req, res) => {
+    const cart = await loadCart(req);
+    if (cart) {
+        cart.items = [];
+        await cart.save();
+    }
+    await sendCart(req, res, cart);
+})
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Turn the cart into an order
+ *     description: |
+ *       Needs a signed-in user. Every line is ordered at its current price; stock is reserved for all of
+ *       them or the order is not placed. Address fields default to the user's profile. The cart is emptied
+ *       once the order is placed.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               shippingAddress1:
+ *                 type: string
+ *               shippingAddress2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               zip:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order placed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: The order cannot be placed, errors name the cart lines, or the coupon cannot be used, or shipping details are missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderLineErrors'
+ *       401:
+ *         description: Not signed in
+ *       409:
+ *         description: The cart is empty
+ */
+router.post('/checkout', async (req, res) => {
+    if (!req.user || !req.user.userId)
+        return res.status(401).json({ message: "The user is not authorized" })
+    const cart = await loadCart(req);
+    if (!cart || !cart.items.length)
+        return res.status(409).send('the cart is empty')
+    const user = await User.findById(req.user.userId);
+
+    const result = await placeOrder(cart.items.map(item => ({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity
+    })), {
+        shippingAddress1: req.body.shippingAddress1 || (user && user.street),
+        shippingAddress2: req.body.shippingAddress2 || (user && user.apartment),
+        city: req.body.city || (user && user.city),
+        zip: req.body.zip || (user && user.zip),
+        country: req.body.country || (user && user.country),
+        region: req.body.region,
+        phone: req.body.phone,
+        user: req.user.userId
+    }, { actor: req.user.userId, couponCode: req.body.couponCode });
+    if (result.errors) {
+        const errors = result.errors.map(error => ({ ...error, line: cart.items[error.index].id }));
+        return res.status(400).json({ success: false, message: 'the order cannot be created!', errors })
+    }
+    if (result.error)
+        return res.status(400).send(result.error)
+
+    cart.items = [];
+    await cart.save();
+    res.send(result.order);
+})
+
+module.exports = router;
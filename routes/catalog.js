@@ -0,0 +1,187 @@
+const { Product } = require('../models/product');
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { parseCsvRecords, stringifyCsv } = require('../helpers/csv');
+const { CSV_COLUMNS, toCsvRecord, importProducts } = require('../helpers/catalog-io');
+
+const uploadCsv = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+})
+
+/**
+ * @swagger
+ * tags:
+ *   name: Catalog
+ *   description: Bulk product import and export APIs (Admin only)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         applied:
+ *           type: boolean
+ *           description: |
+ *             Whether all changes were written. Imports are all or nothing, except when a row fails
+ *             to save because the catalog changed meanwhile: rows before it stay written and the
+ *             rows after it are skipped
+ *         summary:
+ *           type: object
+ *           properties:
+ *             created:
+ *               type: number
+ *             updated:
+ *               type: number
+ *             unchanged:
+ *               type: number
+ *             failed:
+ *               type: number
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: number
+ *                 description: Line number in the file, the header is line 1
+ *               action:
+ *                 type: string
+ *                 enum: [create, update, unchanged, skipped]
+ *               sku:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               warnings:
+ *                 type: array
+ *                 description: Problems found while applying the row, e.g. a stock change that no longer fit
+ *                 items:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /catalog/export:
+ *   get:
+ *     summary: Export all products (Admin only)
+ *     description: In CSV, text starting with =, +, -, @ or ' is prefixed with ' so spreadsheets do not run it as a formula; import removes the prefix.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Catalog file, categories referenced by name
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Unknown format
+ */
+router.get('/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format))
+        return res.status(400).send('format must be csv or json')
+
+    const products = await Product.find().populate('category', 'name').sort({ dateCreated: 1 });
+    if (!products) {
+        return res.status(500).json({ success: false })
+    }
+
+    res.attachment(`products.${format}`);
+    if (format === 'json') {
+        return res.send(products);
+    }
+    res.type('text/csv').send(stringifyCsv(CSV_COLUMNS, products.map(toCsvRecord)));
+})
+
+/**
+ * @swagger
+ * /catalog/import:
+ *   post:
+ *     summary: Create or update products from a CSV file (Admin only)
+ *     description: |
+ *       Rows are matched to existing products by sku, then slug, and every row needs one of them.
+ *       Columns are those of the CSV export; blank cells keep the current value of updated products.
+ *       All rows are validated first, including sku and slug clashes with other rows and products,
+ *       and nothing is written if any row fails.
+ *       A changed countInStock of an existing product is recorded as an inventory adjustment.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only validate and report what would change
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file with a header row
+ *     responses:
+ *       200:
+ *         description: Import report (dry run, or applied)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Missing or unreadable file, or rows failed validation (report in body)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ */
+router.post('/import', uploadCsv.single('file'), async (req, res) => {
+    if (!req.file)
+        return res.status(400).send('No file in the request')
+
+    let parsed;
+    try {
+        parsed = parseCsvRecords(req.file.buffer.toString('utf8'));
+    } catch (err) {
+        return res.status(400).send(`Invalid CSV: ${err.message}`);
+    }
+    const unknown = parsed.columns.filter(column => !CSV_COLUMNS.includes(column));
+    if (unknown.length)
+        return res.status(400).send(`Unknown columns: ${unknown.join(', ')}`)
+
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const report = await importProducts(parsed.records, { dryRun, user: req.user.userId });
+
+    res.status(report.summary.failed ? 400 : 200).send(report);
+})
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const {Category} = require('../models/category');
+const { Product } = require('../models/product');
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { loadCategoryTree } = require('../helpers/category-tree');
+const { checkAttributeDefinitions, checkAttributeValues } = require('../helpers/product-attributes');
+const { CATEGORY_FIELDS, localizeCategory, checkTranslations } = require('../helpers/locale');
+const { recordRevision } = require('../helpers/product-history');
 
 /**
  * @swagger
@@ -23,6 +29,70 @@ const router = express.Router();
  *         color:
  *           type: string
  *           description: Category color
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Parent category ID, null for top-level categories
+ *         translations:
+ *           type: object
+ *           description: Name in other locales, keyed by locale (vi, en). On GET routes name is in the requested locale.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *           example: { "vi": { "name": "Điện thoại" } }
+ *         attributes:
+ *           type: array
+ *           description: Attributes products of this category carry, on top of those of its parents
+ *           items:
+ *             $ref: '#/components/schemas/CategoryAttribute'
+ *         breadcrumb:
+ *           $ref: '#/components/schemas/Breadcrumb'
+ *     CategoryAttribute:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Key of the value on products, letters, digits, - and _
+ *           example: "screenSize"
+ *         type:
+ *           type: string
+ *           enum: [string, number, boolean]
+ *           default: string
+ *         unit:
+ *           type: string
+ *           example: "in"
+ *         allowedValues:
+ *           type: array
+ *           description: Values a string attribute may take, empty for any
+ *           items:
+ *             type: string
+ *         required:
+ *           type: boolean
+ *           default: false
+ *     Breadcrumb:
+ *       type: array
+ *       description: Path from the top-level category down to this one
+ *       items:
+ *         type: object
+ *         properties:
+ *           id:
+ *             type: string
+ *           name:
+ *             type: string
+ *       example: [{ "id": "64a7b8c9d1e2f3a4b5c6d7e1", "name": "Electronics" }, { "id": "64a7b8c9d1e2f3a4b5c6d7e2", "name": "Phones" }]
+ *     CategoryNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Category'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryNode'
  */
 
 /**
@@ -38,6 +108,9 @@ const router = express.Router();
  *   get:
  *     summary: Get all categories
  *     tags: [Categories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *     responses:
  *       200:
  *         description: List of categories
@@ -49,12 +122,36 @@ const router = express.Router();
  *                 $ref: '#/components/schemas/Category'
  */
 router.get('/', async (req, res) =>{
-    const categoryList = await Category.find();
+    const tree = await loadCategoryTree();
 
-    if(!categoryList) {
-        res.status(500).json({success: false})
-    } 
-    res.status(200).send(categoryList);
+    res.status(200).send(tree.categories.map(category => ({
+        ...localizeCategory(category, req.locale),
+        breadcrumb: tree.breadcrumb(category._id, req.locale)
+    })));
+})
+
+/**
+ * @swagger
+ * /categories/tree:
+ *   get:
+ *     summary: Get all categories as a tree
+ *     tags: [Categories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     responses:
+ *       200:
+ *         description: Top-level categories with their subcategories nested in children
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryNode'
+ */
+router.get('/tree', async (req, res) =>{
+    const tree = await loadCategoryTree();
+    res.status(200).send(tree.nest(req.locale));
 })
 
 /**
@@ -62,8 +159,11 @@ router.get('/', async (req, res) =>{
  * /categories/{id}:
  *   get:
  *     summary: Get category by ID
+ *     description: attributeSchema lists the attributes of the category together with those inherited from its parents.
  *     tags: [Categories]
  *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *       - in: path
  *         name: id
  *         schema:
@@ -81,14 +181,34 @@ router.get('/', async (req, res) =>{
  *         description: Category not found
  */
 router.get('/:id', async (req, res) =>{
-    const category = await Category.findById(req.params.id);
+    const tree = await loadCategoryTree();
+    const category = tree.get(req.params.id);
 
     if(!category) {
-        res.status(500).json({message: 'The caterogy with the given ID was not found'})
+        return res.status(500).json({message: 'The caterogy with the given ID was not found'})
     } 
-    res.status(200).send(category);
+    res.status(200).send({
+        ...localizeCategory(category, req.locale),
+        breadcrumb: tree.breadcrumb(category._id, req.locale),
+        attributeSchema: tree.attributeDefinitions(category._id)
+    });
 })
 
+/**
+ * Check a requested parent for category `id` (undefined when creating).
+ * Resolves to an error message, or null when the parent is fine.
+ */
+async function checkParent(parent, id) {
+    if (!parent) return null;
+    if (!mongoose.isValidObjectId(parent)) return 'Invalid parent category';
+    const tree = await loadCategoryTree();
+    if (!tree.get(parent)) return 'Invalid parent category';
+    if (id && tree.descendantIds(id).includes(String(parent))) {
+        return 'a category cannot be moved under itself or one of its subcategories';
+    }
+    return null;
+}
+
 /**
  * @swagger
  * /categories/{id}:
@@ -116,19 +236,54 @@ router.get('/:id', async (req, res) =>{
  *                 type: string
  *               color:
  *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New parent category ID, null to make it top-level. Omit to keep the current parent.
+ *               attributes:
+ *                 type: array
+ *                 description: Replaces the attribute definitions. Existing product values are not re-checked.
+ *                 items:
+ *                   $ref: '#/components/schemas/CategoryAttribute'
+ *               translations:
+ *                 type: object
+ *                 description: Replaces the name translations, keyed by locale
+ *                 example: { "vi": { "name": "Điện thoại" } }
  *     responses:
  *       200:
  *         description: Category updated successfully
+ *       400:
+ *         description: Invalid parent, or the parent is the category itself or one of its subcategories
  *       404:
  *         description: Category not found
  */
 router.put('/:id', async(req, res)=>{
+    const update = {
+        name: req.body.name,
+        icon: req.body.icon,
+        color: req.body.color
+    };
+    if (req.body.parent !== undefined) {
+        const parentError = await checkParent(req.body.parent, req.params.id);
+        if (parentError)
+        return res.status(400).send(parentError)
+        update.parent = req.body.parent || null;
+    }
+    if (req.body.attributes !== undefined) {
+        const attributeErrors = checkAttributeDefinitions(req.body.attributes);
+        if (attributeErrors.length)
+        return res.status(400).send(attributeErrors.join(', '))
+        update.attributes = req.body.attributes;
+    }
+    if (req.body.translations !== undefined) {
+        const translationErrors = checkTranslations(req.body.translations, CATEGORY_FIELDS);
+        if (translationErrors.length)
+        return res.status(400).send(translationErrors.join(', '))
+        update.translations = req.body.translations;
+    }
+
     const category = await Category.findByIdAndUpdate(req.params.id,
-        {
-            name: req.body.name,
-            icon: req.body.icon,
-            color: req.body.color
-        },
+        update,
         { new: true}
     )
     if(!category)
@@ -158,6 +313,17 @@ router.put('/:id', async(req, res)=>{
  *                 type: string
  *               color:
  *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: Parent category ID, omit for a top-level category
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CategoryAttribute'
+ *               translations:
+ *                 type: object
+ *                 description: Name in other locales, keyed by locale
+ *                 example: { "vi": { "name": "Điện thoại" } }
  *     responses:
  *       200:
  *         description: Category created successfully
@@ -165,10 +331,23 @@ router.put('/:id', async(req, res)=>{
  *         description: Bad request
  */
 router.post('/', async(req,res)=>{
+    const parentError = await checkParent(req.body.parent);
+    if (parentError)
+    return res.status(400).send(parentError)
+    const attributeErrors = checkAttributeDefinitions(req.body.attributes || []);
+    if (attributeErrors.length)
+    return res.status(400).send(attributeErrors.join(', '))
+    const translationErrors = checkTranslations(req.body.translations || {}, CATEGORY_FIELDS);
+    if (translationErrors.length)
+    return res.status(400).send(translationErrors.join(', '))
+
     let category = new Category({
         name: req.body.name,
         icon: req.body.icon,
-        color: req.body.color
+        color: req.body.color,
+        parent: req.body.parent || null,
+        attributes: req.body.attributes || [],
+        translations: req.body.translations || {}
     })
 
     category = await category.save();
@@ -183,6 +362,11 @@ router.post('/', async(req,res)=>{
  * /categories/{id}:
  *   delete:
  *     summary: Delete category
+ *     description: |
+ *       A category that still has products can only be deleted when they are moved to another category
+ *       (moveTo) or archived (cascade=archive). Archived products move too, to moveTo when given, else to
+ *       the parent of the deleted category; a top-level category needs moveTo. Products are only moved when
+ *       their attributes fit the target category. Subcategories move up to the parent of the deleted category.
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -192,23 +376,140 @@ router.post('/', async(req,res)=>{
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: moveTo
+ *         schema:
+ *           type: string
+ *         description: Category ID to move the products to, archived or not
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: string
+ *           enum: [archive]
+ *         description: |
+ *           Archive the products instead of moving them. They go to moveTo, else to the parent category;
+ *           products of a top-level category are left without a category until they are given one.
  *     responses:
  *       200:
  *         description: Category deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 productsAffected:
+ *                   type: number
+ *                 productsAction:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [moved, archived]
+ *                 movedTo:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Category the products now belong to, null when archived without one
+ *                 subcategoriesMoved:
+ *                   type: number
+ *       400:
+ *         description: Invalid moveTo category or cascade option
  *       404:
  *         description: Category not found
+ *       409:
+ *         description: |
+ *           The category has products and neither moveTo nor cascade was given, or some products do not
+ *           fit the target's attributes (listed in products)
  */
-router.delete('/:id', (req,res)=>{
-    Category.findByIdAndRemove(req.params.id).then(category=>{
-        if(category){
-            return res.status(200).json({success: true, message: "the category is deleted!"})
+router.delete('/:id', async (req,res)=>{
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(404).json({success: false, message: "category not found!"})
+    const category = await Category.findById(req.params.id);
+    if (!category)
+        return res.status(404).json({success: false, message: "category not found!"})
+
+    const { moveTo, cascade } = req.query;
+    if (cascade && cascade !== 'archive')
+        return res.status(400).json({success: false, message: "cascade must be archive"})
+    let target = null;
+    if (moveTo) {
+        target = mongoose.isValidObjectId(moveTo) && String(moveTo) !== String(category._id)
+            ? await Category.findById(moveTo)
+            : null;
+        if (!target)
+            return res.status(400).json({success: false, message: "invalid moveTo category"})
+    } else if (cascade && category.parent) {
+        // archived products stay under the parent when there is one
+        target = await Category.findById(category.parent);
+    }
+
+    try {
+        const productCount = await Product.countDocuments({ category: category._id });
+        if (productCount && !moveTo && !cascade) {
+            return res.status(409).json({
+                success: false,
+                message: `the category has ${productCount} products, move them (moveTo) or archive them (cascade=archive)`,
+                productCount
+            })
         }
-        else{
-            return res.status(404).json({success: false, message: "category not found!"})
+
+        const products = productCount ? await Product.find({ category: category._id }) : [];
+        if (productCount && target) {
+            const definitions = (await loadCategoryTree()).attributeDefinitions(target._id);
+            const misfits = products
+                .map(product => ({ id: product.id, name: product.name, errors: checkAttributeValues(product.attributes, definitions).errors }))
+                .filter(product => product.errors.length);
+            if (misfits.length) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${misfits.length} products do not fit the attributes of ${target.name}`,
+                    products: misfits
+                })
+            }
+        }
+
+        let productsAffected = 0;
+        let productsAction = null;
+        if (productCount && cascade) {
+            await Product.updateMany(
+                { category: category._id, status: { $ne: 'archived' } },
+                { $set: { status: 'archived' } }
+            );
+            productsAction = 'archived';
+        } else if (productCount) {
+            productsAction = 'moved';
+        }
+        if (productCount) {
+            // archived products of a top-level category are left without one
+            // rather than pointing at the deleted category
+            const result = await Product.updateMany(
+                { category: category._id },
+                target ? { $set: { category: target._id } } : { $unset: { category: 1 } }
+            );
+            productsAffected = result.nModified;
+            // the bulk updates skip the documents, record their revisions here
+            const changed = await Product.find({ _id: { $in: products.map(product => product._id) } });
+            const before = new Map(products.map(product => [product.id, product]));
+            for (const product of changed) {
+                await recordRevision(product, 'update', { user: req.user.userId, before: before.get(product.id) });
+            }
         }
-    }).catch(err => {
+
+        const subcategories = await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent || null } });
+        await Category.deleteOne({ _id: category._id });
+
+        res.status(200).json({
+            success: true,
+            message: "the category is deleted!",
+            productsAffected,
+            productsAction,
+            movedTo: productCount && target ? target.id : null,
+            subcategoriesMoved: subcategories.nModified
+        })
+    } catch (err) {
         return res.status(400).json({success: false, error: err})
-    })
+    }
 })
 
 module.exports =router;
\ No newline at end of file
@@ -0,0 +1,348 @@
+const { Coupon } = require('../models/coupon');
+const { CouponRedemption } = require('../models/coupon-redemption');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { normalizeCode } = require('../helpers/coupons');
+
+// fields an admin may set; usedCount only changes through orders
+const COUPON_FIELDS = [
+    'code', 'description', 'type', 'value', 'currency', 'scope', 'minOrderValue',
+    'maxUses', 'maxUsesPerUser', 'startsAt', 'endsAt', 'isActive'
+];
+
+function couponFields(body) {
+    const fields = {};
+    COUPON_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (fields.code !== undefined) fields.code = normalizeCode(fields.code);
+    return fields;
+}
+
+async function saveCoupon(coupon, res) {
+    try {
+        res.send(await coupon.save());
+    } catch (err) {
+        if (err.code === 11000)
+            return res.status(409).send(`coupon ${coupon.code} already exists`)
+        if (err.name === 'ValidationError' || err.name === 'CastError')
+            return res.status(400).send(err.message)
+        console.error('Failed to save coupon', err);
+        return res.status(500).send('the coupon could not be saved')
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Stored upper case
+ *           example: "SUMMER10"
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping]
+ *         value:
+ *           type: number
+ *           description: Percentage (1-100) for percentage coupons, amount in minor units of currency for fixed ones
+ *           example: 10
+ *         currency:
+ *           type: string
+ *           description: Currency of value and minOrderValue; only orders in it can use fixed coupons or coupons with a minimum
+ *           example: "USD"
+ *         scope:
+ *           type: object
+ *           description: Items the discount applies to, any of them matching; empty for the whole order
+ *           properties:
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             categories:
+ *               type: array
+ *               description: Subcategories are included
+ *               items:
+ *                 type: string
+ *             brands:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         minOrderValue:
+ *           type: integer
+ *           description: Subtotal the order must reach, in minor units
+ *           example: 5000
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *           description: Orders that may use the code, null for no limit
+ *         maxUsesPerUser:
+ *           type: integer
+ *           nullable: true
+ *         usedCount:
+ *           type: integer
+ *           description: Orders that used the code and were not cancelled
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Discount codes applied when placing orders (Admin only)
+ */
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: List coupons (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only coupons that can be used now (true) or cannot (false)
+ *     responses:
+ *       200:
+ *         description: Coupons, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Coupon'
+ */
+router.get('/', async (req, res) => {
+    const now = new Date();
+    const usable = {
+        isActive: true,
+        $and: [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] }
+        ]
+    };
+    const unusable = {
+        $or: [
+            { isActive: false },
+            { startsAt: { $gt: now } },
+            { endsAt: { $lte: now } },
+            { $expr: { $and: [{ $gt: ['$maxUses', null] }, { $gte: ['$usedCount', '$maxUses'] }] } }
+        ]
+    };
+    let filter = {};
+    if (req.query.active === 'true') filter = usable;
+    else if (req.query.active === 'false') filter = unusable;
+
+    const couponList = await Coupon.find(filter).sort({ dateCreated: -1 });
+    if (!couponList) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(couponList);
+})
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Get a coupon with its redemptions (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The coupon, with the number of orders and total discount given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Coupon'
+ *                 - type: object
+ *                   properties:
+ *                     redemptions:
+ *                       type: object
+ *                       properties:
+ *                         orders:
+ *                           type: integer
+ *                         users:
+ *                           type: integer
+ *                         discountTotal:
+ *                           type: integer
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Coupon Id')
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon)
+        return res.status(404).send('coupon not found!')
+
+    const [stats] = await CouponRedemption.aggregate([
+        { $match: { coupon: coupon._id } },
+        { $group: { _id: null, orders: { $sum: 1 }, users: { $addToSet: '$user' }, discountTotal: { $sum: '$amount' } } }
+    ]);
+    res.send({
+        ...coupon.toJSON(),
+        redemptions: {
+            orders: stats ? stats.orders : 0,
+            users: stats ? stats.users.length : 0,
+            discountTotal: stats ? stats.discountTotal : 0
+        }
+    });
+})
+
+/**
+ * @swagger
+ * /coupons:
+ *   post:
+ *     summary: Create a coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *           example:
+ *             code: "SUMMER10"
+ *             type: "percentage"
+ *             value: 10
+ *             scope:
+ *               brands: ["Acme"]
+ *             minOrderValue: 5000
+ *             maxUsesPerUser: 1
+ *             endsAt: "2026-09-01T00:00:00Z"
+ *     responses:
+ *       200:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid coupon
+ *       409:
+ *         description: The code already exists
+ */
+router.post('/', async (req, res) => {
+    await saveCoupon(new Coupon(couponFields(req.body)), res);
+})
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (Admin only)
+ *     description: Orders already placed keep the discount they got.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid coupon
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: The code already exists
+ */
+router.put('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Coupon Id')
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon)
+        return res.status(404).send('coupon not found!')
+
+    coupon.set(couponFields(req.body));
+    await saveCoupon(coupon, res);
+})
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (Admin only)
+ *     description: Orders keep the discounts they got. Set isActive to false instead to keep the coupon's history.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).json({ success: false, message: 'Invalid Coupon Id' })
+    const coupon = await Coupon.findByIdAndRemove(req.params.id);
+    if (!coupon)
+        return res.status(404).json({ success: false, message: 'coupon not found!' })
+    await CouponRedemption.deleteMany({ coupon: coupon._id });
+    res.status(200).json({ success: true, message: 'the coupon is deleted!' })
+})
+
+module.exports = router;
@@ -0,0 +1,300 @@
+const { Product } = require('../models/product');
+const { InventoryMovement } = require('../models/inventory-movement');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { LOW_STOCK_THRESHOLD, moveStock } = require('../helpers/stock');
+
+// sales are only recorded by orders
+const MANUAL_TYPES = ['receipt', 'return', 'adjustment'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [receipt, sale, return, adjustment]
+ *         quantity:
+ *           type: number
+ *           description: Signed change, negative when stock goes out
+ *           example: -2
+ *         balance:
+ *           type: number
+ *           description: Stock of the product or variant after the movement
+ *         reason:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: User who made the change
+ *         order:
+ *           type: string
+ *           description: Order behind sales and order returns
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock movements and reports (Admin only)
+ */
+
+/**
+ * @swagger
+ * /inventory/products/{id}/movements:
+ *   post:
+ *     summary: Record a stock movement for a product (Admin only)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [receipt, return, adjustment]
+ *               quantity:
+ *                 type: integer
+ *                 description: Positive for receipts and returns, signed for adjustments
+ *                 example: 24
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID or SKU, required for products with variants
+ *               reason:
+ *                 type: string
+ *                 description: Required for adjustments
+ *                 example: "stock count correction"
+ *     responses:
+ *       200:
+ *         description: Movement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InventoryMovement'
+ *       400:
+ *         description: Invalid movement
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Not enough stock for the adjustment
+ */
+router.post('/products/:id/movements', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Product Id')
+
+    const type = req.body.type;
+    const quantity = Number(req.body.quantity);
+    const reason = (req.body.reason || '').trim();
+    if (!MANUAL_TYPES.includes(type))
+        return res.status(400).send(`type must be one of ${MANUAL_TYPES.join(', ')}`)
+    if (!Number.isInteger(quantity) || quantity === 0)
+        return res.status(400).send('quantity must be a non-zero integer')
+    if (type !== 'adjustment' && quantity < 0)
+        return res.status(400).send(`quantity of a ${type} must be positive`)
+    if (type === 'adjustment' && !reason)
+        return res.status(400).send('adjustments need a reason')
+
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    let variant;
+    if (product.variants.length) {
+        variant = product.findVariant(req.body.variant);
+        if (!variant)
+            return res.status(404).send('variant not found!')
+    }
+
+    const movement = await moveStock({
+        product: product._id,
+        variant: variant ? variant._id : undefined,
+        quantity,
+        type,
+        reason,
+        user: req.user.userId
+    });
+    if (!movement)
+        return res.status(409).send('not enough stock for this adjustment')
+
+    res.send(movement);
+})
+
+/**
+ * @swagger
+ * /inventory/products/{id}/movements:
+ *   get:
+ *     summary: Stock movement history of a product (Admin only)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: Only movements of this variant ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InventoryMovement'
+ */
+router.get('/products/:id/movements', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Product Id')
+
+    const filter = { product: req.params.id };
+    if (req.query.variant) {
+        if (!mongoose.isValidObjectId(req.query.variant))
+            return res.status(400).send('Invalid Variant Id')
+        filter.variant = req.query.variant;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const movements = await InventoryMovement.find(filter)
+        .populate('user', 'name')
+        .sort({ dateCreated: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    if (!movements) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(movements);
+})
+
+/**
+ * @swagger
+ * /inventory/low-stock:
+ *   get:
+ *     summary: Products at or below their low-stock threshold (Admin only)
+ *     description: Uses each product's lowStockThreshold, or LOW_STOCK_THRESHOLD (default 5). For products with variants, the variants at or below the threshold are listed.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low-stock products, lowest stock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   sku:
+ *                     type: string
+ *                   countInStock:
+ *                     type: number
+ *                   threshold:
+ *                     type: number
+ *                   variants:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         sku:
+ *                           type: string
+ *                         countInStock:
+ *                           type: number
+ */
+router.get('/low-stock', async (req, res) => {
+    const products = await Product.aggregate([
+        { $match: { status: { $ne: 'archived' } } },
+        { $addFields: { threshold: { $ifNull: ['$lowStockThreshold', LOW_STOCK_THRESHOLD] } } },
+        {
+            $addFields: {
+                lowVariants: {
+                    $filter: {
+                        input: { $ifNull: ['$variants', []] },
+                        as: 'variant',
+                        cond: { $lte: ['$$variant.countInStock', '$threshold'] }
+                    }
+                },
+                hasVariants: { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] }
+            }
+        },
+        {
+            $match: {
+                $expr: {
+                    $cond: [
+                        '$hasVariants',
+                        { $gt: [{ $size: '$lowVariants' }, 0] },
+                        { $lte: ['$countInStock', '$threshold'] }
+                    ]
+                }
+            }
+        },
+        { $sort: { countInStock: 1, name: 1 } }
+    ]);
+
+    res.send(products.map(product => ({
+        id: product._id,
+        name: product.name,
+        sku: product.sku,
+        countInStock: product.countInStock,
+        threshold: product.threshold,
+        variants: product.lowVariants.map(variant => ({
+            id: variant._id,
+            sku: variant.sku,
+            countInStock: variant.countInStock
+        }))
+    })));
+})
+
+module.exports = router;
@@ -1,8 +1,22 @@
 const { Order } = require('../models/order');
 const express = require('express');
 const { OrderItem } = require('../models/order-item');
+const money = require('../helpers/money');
+const { releaseStock } = require('../helpers/stock');
+const { orderStockLines, prepareOrder, placeOrder, transitionOrder } = require('../helpers/orders');
+const { releaseCoupons } = require('../helpers/coupons');
+const { ORDER_STATUSES, isOrderStatus, canTransition, hasShipped, releasesStock } = require('../helpers/order-status');
 const router = express.Router();
 
+// ?status=Pending,Paid
+function statusFilter(query) {
+    if (!query.status) return {};
+    const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = statuses.find(status => !isOrderStatus(status));
+    if (unknown) throw new Error(`Unknown status ${unknown}`);
+    return { status: { $in: statuses } };
+}
+
 /**
  * @swagger
  * components:
@@ -24,6 +38,17 @@ const router = express.Router();
  *           type: string
  *           description: Product ID reference
  *           example: "64a7b8c9d1e2f3a4b5c6d7e8"
+ *         variant:
+ *           type: string
+ *           description: Variant ID, set when the product has variants
+ *         sku:
+ *           type: string
+ *           description: SKU of the ordered variant
+ *           example: "TEE-RED-M"
+ *         unitPrice:
+ *           type: integer
+ *           description: Unit price at the time of ordering, in minor units
+ *           example: 1999
  *     Order:
  *       type: object
  *       required:
@@ -62,19 +87,59 @@ const router = express.Router();
  *           type: string
  *           description: Shipping country
  *           example: "USA"
+ *         region:
+ *           type: string
+ *           description: State or province, used by tax rules and shipping zones
+ *           example: "NY"
  *         phone:
  *           type: string
  *           description: Contact phone number
  *           example: "+1234567890"
  *         status:
  *           type: string
- *           description: Order status
- *           enum: [Pending, Processing, Shipped, Delivered, Cancelled]
+ *           description: Order status, changed through PUT /orders/{id}
+ *           enum: [Pending, Failed, Paid, Processing, Shipped, Delivered, Cancelled, Refunded]
  *           example: "Pending"
+ *         statusHistory:
+ *           type: array
+ *           description: Status changes, oldest first; the first entry is the order being placed
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusChange'
+ *         subtotal:
+ *           type: integer
+ *           description: Sum of the order items in minor units, before discounts
+ *           example: 29999
+ *         discounts:
+ *           type: array
+ *           description: Coupons applied to the order
+ *           items:
+ *             $ref: '#/components/schemas/OrderDiscount'
+ *         discountTotal:
+ *           type: integer
+ *           description: Sum of the discounts in minor units, already taken off totalPrice
+ *           example: 3000
+ *         shipping:
+ *           $ref: '#/components/schemas/OrderShipping'
+ *         shippingTotal:
+ *           type: integer
+ *           description: Shipping charged in minor units
+ *           example: 500
+ *         taxes:
+ *           type: array
+ *           description: Tax charged, one entry per tax rule
+ *           items:
+ *             $ref: '#/components/schemas/OrderTax'
+ *         taxTotal:
+ *           type: integer
+ *           example: 2160
  *         totalPrice:
- *           type: number
- *           description: Total order price (calculated automatically)
- *           example: 299.99
+ *           type: integer
+ *           description: Grand total in minor units, e.g. cents, i.e. subtotal - discountTotal + shippingTotal + taxTotal (calculated automatically)
+ *           example: 29659
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency of the order, taken from its products
+ *           example: "USD"
  *         user:
  *           type: string
  *           description: User ID who placed the order
@@ -83,6 +148,155 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: Order creation date
+ *     OrderDiscount:
+ *       type: object
+ *       properties:
+ *         coupon:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "SUMMER10"
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping]
+ *         value:
+ *           type: number
+ *           description: Percentage, or amount in minor units for fixed coupons
+ *           example: 10
+ *         amount:
+ *           type: integer
+ *           description: Discount in minor units
+ *           example: 3000
+ *         freeShipping:
+ *           type: boolean
+ *         lines:
+ *           type: array
+ *           description: What the coupon took off each order item in its scope
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *     OrderShipping:
+ *       type: object
+ *       nullable: true
+ *       description: Null when the store has no shipping zones and does not charge shipping
+ *       properties:
+ *         zone:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Domestic"
+ *         basis:
+ *           type: string
+ *           enum: [weight, orderValue]
+ *         measure:
+ *           type: number
+ *           description: Total weight in grams, or order value after discounts in minor units
+ *         price:
+ *           type: integer
+ *           description: Price of the zone's rate
+ *         freeShipping:
+ *           type: boolean
+ *           description: A coupon waived the price
+ *         amount:
+ *           type: integer
+ *           description: Shipping charged
+ *     OrderTax:
+ *       type: object
+ *       properties:
+ *         rule:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "VAT"
+ *         rate:
+ *           type: number
+ *           example: 8
+ *         taxable:
+ *           type: integer
+ *           description: Amount taxed, after discounts, in minor units
+ *         amount:
+ *           type: integer
+ *     OrderQuote:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: number
+ *                 description: Position of the line in orderItems
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unitPrice:
+ *                 type: integer
+ *               total:
+ *                 type: integer
+ *               discount:
+ *                 type: integer
+ *               net:
+ *                 type: integer
+ *                 description: total - discount, the amount taxed
+ *               taxRate:
+ *                 type: number
+ *               taxName:
+ *                 type: string
+ *         subtotal:
+ *           type: integer
+ *         discounts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderDiscount'
+ *         discountTotal:
+ *           type: integer
+ *         shipping:
+ *           $ref: '#/components/schemas/OrderShipping'
+ *         shippingTotal:
+ *           type: integer
+ *         taxes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderTax'
+ *         taxTotal:
+ *           type: integer
+ *         grandTotal:
+ *           type: integer
+ *           description: What totalPrice of the order would be
+ *     OrderStatusChange:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: "Shipped"
+ *         from:
+ *           type: string
+ *           example: "Processing"
+ *         user:
+ *           type: string
+ *           description: User who made the change
+ *         note:
+ *           type: string
+ *           example: "tracking number 1Z999AA10123456784"
+ *         date:
+ *           type: string
+ *           format: date-time
  *     OrderRequest:
  *       type: object
  *       required:
@@ -104,6 +318,10 @@ const router = express.Router();
  *               product:
  *                 type: string
  *                 example: "64a7b8c9d1e2f3a4b5c6d7e8"
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID or SKU, required for products with variants
+ *                 example: "TEE-RED-M"
  *         shippingAddress1:
  *           type: string
  *           example: "123 Main Street"
@@ -119,15 +337,41 @@ const router = express.Router();
  *         country:
  *           type: string
  *           example: "USA"
+ *         region:
+ *           type: string
+ *           example: "NY"
  *         phone:
  *           type: string
  *           example: "+1234567890"
- *         status:
- *           type: string
- *           example: "Pending"
  *         user:
  *           type: string
  *           example: "64a7b8c9d1e2f3a4b5c6d7e8"
+ *         couponCode:
+ *           type: string
+ *           description: Coupon to apply, see /coupons
+ *           example: "SUMMER10"
+ *     OrderLineErrors:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *           example: "the order cannot be created!"
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: number
+ *                 description: Position of the line in orderItems
+ *               product:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *                 example: "only 2 of TEE-RED-M in stock"
  *     OrderCount:
  *       type: object
  *       properties:
@@ -139,9 +383,28 @@ const router = express.Router();
  *       type: object
  *       properties:
  *         totalSales:
- *           type: number
- *           description: Total sales amount from all orders
- *           example: 15742.50
+ *           type: integer
+ *           description: Total sales in minor units of the default currency
+ *           example: 1574250
+ *         currency:
+ *           type: string
+ *           description: Default currency (ISO 4217)
+ *           example: "USD"
+ *         byCurrency:
+ *           type: array
+ *           description: Totals for every currency orders were placed in
+ *           items:
+ *             type: object
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: "USD"
+ *               totalSales:
+ *                 type: integer
+ *                 example: 1574250
+ *               formatted:
+ *                 type: string
+ *                 example: "$15,742.50"
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -169,6 +432,13 @@ const router = express.Router();
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only orders in these statuses (comma separated)
+ *         example: "Paid,Processing"
  *     responses:
  *       200:
  *         description: List of all orders retrieved successfully (sorted by date, newest first)
@@ -190,7 +460,13 @@ const router = express.Router();
  *                   example: false
  */
 router.get(`/`, async (req, res) => {
-    const orderList = await Order.find().populate('user', 'name').sort({ 'dateOrdered': -1 });
+    let filter;
+    try {
+        filter = statusFilter(req.query);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    const orderList = await Order.find(filter).populate('user', 'name').sort({ 'dateOrdered': -1 });
 
     if (!orderList) {
         res.status(500).json({ success: false })
@@ -268,6 +544,11 @@ router.get(`/:id`, async (req, res) => {
  *           type: string
  *         description: User ID to get orders for
  *         example: "64a7b8c9d1e2f3a4b5c6d7e8"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only orders in these statuses (comma separated)
  *     responses:
  *       200:
  *         description: User orders retrieved successfully (sorted by date, newest first)
@@ -289,8 +570,14 @@ router.get(`/:id`, async (req, res) => {
  *                   example: false
  */
 router.get(`/userorders/:userid`, async (req, res) => {
+    let filter;
+    try {
+        filter = statusFilter(req.query);
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
     // Tìm tất cả các đơn hàng có trường 'user' khớp với userid từ URL
-    const userOrderList = await Order.find({user: req.params.userid})       
+    const userOrderList = await Order.find({...filter, user: req.params.userid})       
         .populate('user')
         .populate({ // <-- Bắt đầu mở lớp búp bê đầu tiên
             path: 'orderItems', // 1. Mở Order, tìm đến trường 'orderItems'.
@@ -335,69 +622,100 @@ router.get(`/userorders/:userid`, async (req, res) => {
  *             zip: "10001"
  *             country: "USA"
  *             phone: "+1234567890"
- *             status: "Pending"
  *             user: "64a7b8c9d1e2f3a4b5c6d7e8"
  *     responses:
  *       200:
- *         description: Order created successfully (total price calculated automatically)
+ *         description: Order created as Pending (subtotal, discounts, shipping, tax and total price calculated automatically, see POST /orders/quote)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Order cannot be created
+ *         description: Order cannot be created, e.g. a line is out of stock or misses its variant, or the coupon cannot be used. Stock is only taken when every line can be fulfilled
  *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderLineErrors'
  *           text/plain:
  *             schema:
  *               type: string
  *               example: "the order cannot be created!"
  */
 router.post('/', async (req, res) => {
-    const orderItemsIds = await Promise.all(
-        req.body.orderItems.map(async orderItem => {
-            let newOrderItem = new OrderItem({
-                quantity: orderItem.quantity,
-                product: orderItem.product
-            });
-
-            newOrderItem = await newOrderItem.save();
-            return newOrderItem._id;
-        })
-    );
-
-    const totalPrices = await Promise.all(orderItemsIds.map(async (orderItemId)=>{
-        const orderItem = await OrderItem.findById(orderItemId).populate('product', 'price')
-        const totalPrice = orderItem.product.price*orderItem.quantity
-        return totalPrice
-    }))
+    const result = await placeOrder(req.body.orderItems, req.body, {
+        actor: req.user ? req.user.userId : undefined,
+        couponCode: req.body.couponCode
+    });
+    if (result.errors)
+        return res.status(400).json({ success: false, message: 'the order cannot be created!', errors: result.errors })
+    if (result.error)
+        return res.status(400).send(result.error)
 
-    const totalPrice = totalPrices.reduce((a, b) => a + b, 0);
-    console.log(totalPrice)
+    res.send(result.order)
+})
 
-    let order = new Order({
-        orderItems: orderItemsIds,
-        shippingAddress1: req.body.shippingAddress1,
-        shippingAddress2: req.body.shippingAddress2,
-        city: req.body.city,
-        zip: req.body.zip,
-        country: req.body.country,
-        phone: req.body.phone,
-        status: req.body.status,
-        totalPrice: totalPrice,
-        user: req.body.user,
-    })
-    order = await order.save();
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     summary: Price an order without placing it
+ *     description: |
+ *       Takes the same body as POST /orders and returns the subtotal, coupon discounts, shipping, tax and
+ *       grand total the order would get. Nothing is written and no stock is taken. Customers get quotes
+ *       for themselves; admins may quote for any user.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderRequest'
+ *     responses:
+ *       200:
+ *         description: The breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderQuote'
+ *       400:
+ *         description: The order could not be placed, e.g. a line is out of stock, the coupon cannot be used or nothing ships to the address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderLineErrors'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "no shipping to NY, USA for orders in USD"
+ */
+router.post('/quote', async (req, res) => {
+    // customers get quotes for themselves, admins for any user
+    const user = req.user.isAdmin ? req.body.user : req.user.userId;
+    const prepared = await prepareOrder(req.body.orderItems, { ...req.body, user }, {
+        couponCode: req.body.couponCode
+    });
+    if (prepared.errors)
+        return res.status(400).json({ success: false, message: 'the order cannot be created!', errors: prepared.errors })
+    if (prepared.error)
+        return res.status(400).send(prepared.error)
 
-    if (!order)
-        return res.status(400).send('the order cannot be created!')
-    res.send(order)
+    res.send({ ...prepared.quote, discounts: prepared.discount ? [prepared.discount] : [] });
 })
 
 /**
  * @swagger
  * /orders/{id}:
  *   put:
- *     summary: Update order status
+ *     summary: Change order status
+ *     description: |
+ *       Allowed transitions: Pending → Paid, Failed, Processing or Cancelled; Failed → Paid or Cancelled;
+ *       Paid → Processing or Refunded;
+ *       Processing → Shipped, Cancelled or Refunded; Shipped → Delivered; Delivered → Refunded.
+ *       Cancelled and Refunded are final. Cancelling, or refunding before shipping, gives the stock back.
+ *       Cancelling also gives back the order's coupon uses.
+ *       Every change is added to statusHistory. Setting the current status again changes nothing.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -421,8 +739,11 @@ router.post('/', async (req, res) => {
  *               status:
  *                 type: string
  *                 description: New order status
- *                 enum: [Pending, Processing, Shipped, Delivered, Cancelled]
+ *                 enum: [Pending, Failed, Paid, Processing, Shipped, Delivered, Cancelled, Refunded]
  *                 example: "Processing"
+ *               note:
+ *                 type: string
+ *                 description: Kept with the change in statusHistory
  *     responses:
  *       200:
  *         description: Order status updated successfully
@@ -430,6 +751,8 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Unknown status
  *       404:
  *         description: Order not found or cannot be updated
  *         content:
@@ -437,16 +760,50 @@ router.post('/', async (req, res) => {
  *             schema:
  *               type: string
  *               example: "the order cannot be updated!"
+ *       409:
+ *         description: The transition is not allowed, or the status changed meanwhile
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "an order cannot go from Shipped to Cancelled"
  */
 router.put('/:id', async (req, res) => {
-    const order = await Order.findByIdAndUpdate(req.params.id,
-        {    
-            status: req.body.status
-        },
-        { new: true }
-    )
-    if (!order)
+    const status = req.body.status;
+    if (!isOrderStatus(status))
+        return res.status(400).send(`status must be one of ${ORDER_STATUSES.join(', ')}`)
+    const existing = await Order.findById(req.params.id);
+    if (!existing)
         return res.status(404).send('the order cannot be updated!')
+    if (existing.status === status)
+        return res.send(existing)
+    if (!canTransition(existing.status, status))
+        return res.status(409).send(`an order cannot go from ${existing.status} to ${status}`)
+
+    const order = await transitionOrder(existing, status, { user: req.user.userId, note: req.body.note });
+    if (!order)
+        return res.status(409).send('the order status changed meanwhile, reload it and try again')
+
+    // a cancelled order no longer counts against coupon limits
+    if (status === 'Cancelled')
+        await releaseCoupons(order._id);
+
+    if (releasesStock(existing.status, status)) {
+        // only the request that clears stockReserved gives the stock back
+        const released = await Order.findOneAndUpdate(
+            { _id: order._id, stockReserved: true },
+            { stockReserved: false },
+            { new: true }
+        )
+        if (released) {
+            await releaseStock(await orderStockLines(released), {
+                order: released._id,
+                user: req.user.userId,
+                reason: status === 'Cancelled' ? 'order cancelled' : 'order refunded'
+            });
+            return res.send(released)
+        }
+    }
 
     res.send(order)
 })
@@ -456,6 +813,7 @@ router.put('/:id', async (req, res) => {
  * /orders/{id}:
  *   delete:
  *     summary: Delete order and all related order items
+ *     description: Stock held by the order is given back, unless the order was already cancelled or its goods have shipped.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -511,6 +869,10 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', (req,res)=>{
     Order.findByIdAndRemove(req.params.id).then( async order=>{
         if (order) {
+            // goods that already shipped do not go back into stock
+            if (order.stockReserved && !hasShipped(order.status))
+                await releaseStock(await orderStockLines(order), { order: order._id, user: req.user.userId, reason: 'order deleted' });
+            await releaseCoupons(order._id);
             // 2. Nếu đơn hàng tồn tại, xóa tất cả các orderItem liên quan
             await Promise.all(
                 order.orderItems.map(async (orderItemId) => {
@@ -556,16 +918,22 @@ router.delete('/:id', (req,res)=>{
  *               example: "The order sales cannot be generated"
  */
 router.get('/get/totalsales', async (req,res) => {
-    // Dùng Aggregation để gom tất cả đơn hàng thành một nhóm (_id: null) và tính tổng của trường 'totalPrice'.
+    // Dùng Aggregation để gom đơn hàng theo loại tiền tệ và tính tổng của trường 'totalPrice' (đơn vị nhỏ nhất).
     const totalSales = await Order.aggregate([
-        { $group: {_id: null, totalsales: { $sum: '$totalPrice'}}}
+        { $group: {_id: { $ifNull: ['$currency', money.DEFAULT_CURRENCY] }, totalsales: { $sum: '$totalPrice'}}},
+        { $sort: { _id: 1 } }
     ])
 
     if(!totalSales){
         return res.status(400).send('The order sales cannot be generated')
     }
-    // Pop the single result object from the array, get the 'totalsales' value, and send it.
-    return res.send({totalSales: totalSales.pop().totalsales})
+    const byCurrency = totalSales.map(group => ({
+        currency: group._id,
+        totalSales: group.totalsales,
+        formatted: money.format(group.totalsales, group._id)
+    }));
+    const main = byCurrency.find(group => group.currency === money.DEFAULT_CURRENCY);
+    return res.send({totalSales: main ? main.totalSales : 0, currency: money.DEFAULT_CURRENCY, byCurrency})
 })
 
 /**
@@ -0,0 +1,400 @@
+const { Payment } = require('../models/payment');
+const { Order } = require('../models/order');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { getPaymentProvider, createPaymentIntent, handlePaymentEvent } = require('../helpers/payments');
+
+// customers may only pay and see the payments of their own orders
+async function findOwnOrder(req, res) {
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+        res.status(400).send('Invalid Order Id');
+        return null;
+    }
+    const order = await Order.findById(req.params.orderId);
+    if (!order || (!req.user.isAdmin && String(order.user) !== req.user.userId)) {
+        res.status(404).send('order not found!');
+        return null;
+    }
+    return order;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: User who started the payment
+ *         provider:
+ *           type: string
+ *           example: "fake"
+ *         reference:
+ *           type: string
+ *           description: The provider's id of the payment
+ *         amount:
+ *           type: integer
+ *           description: Order total in minor units
+ *           example: 29659
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         failureReason:
+ *           type: string
+ *         needsReview:
+ *           type: boolean
+ *           description: The provider took money the order could not use, e.g. the order was cancelled or paid twice
+ *         note:
+ *           type: string
+ *         events:
+ *           type: array
+ *           description: Webhook events received for the payment
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 example: "payment.succeeded"
+ *               amount:
+ *                 type: integer
+ *               currency:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ *         dateUpdated:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: |
+ *     Paying orders through the configured payment provider. Each attempt is a payment; the provider
+ *     reports its outcome to the webhook, which moves the order to Paid or Failed.
+ */
+
+/**
+ * @swagger
+ * /payments/orders/{orderId}/intent:
+ *   post:
+ *     summary: Start paying an order
+ *     description: Creates a payment for the order's total with the provider. Pending and Failed orders can be paid; customers can only pay their own orders.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The payment and the secret the client completes it with
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *                 clientSecret:
+ *                   type: string
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order cannot be paid in its status
+ *       503:
+ *         description: No payment provider is configured
+ */
+router.post('/orders/:orderId/intent', async (req, res) => {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const result = await createPaymentIntent(order, { user: req.user.userId });
+    if (result.status)
+        return res.status(result.status).send(result.message)
+    res.send({ payment: result.payment, clientSecret: result.clientSecret });
+})
+
+/**
+ * @swagger
+ * /payments/orders/{orderId}:
+ *   get:
+ *     summary: Payment attempts of an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payments, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:orderId', async (req, res) => {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const paymentList = await Payment.find({ order: order._id }).sort({ dateCreated: -1 });
+    res.send(paymentList);
+})
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     summary: List payments for reconciliation (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: needsReview
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only payments started at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only payments started before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Payments, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/', async (req, res) => {
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.provider) filter.provider = String(req.query.provider);
+    if (req.query.needsReview !== undefined) filter.needsReview = req.query.needsReview === 'true';
+    if (req.query.from || req.query.to) {
+        filter.dateCreated = {};
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to)))
+            return res.status(400).send('from and to must be dates')
+        if (from) filter.dateCreated.$gte = from;
+        if (to) filter.dateCreated.$lt = to;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const paymentList = await Payment.find(filter)
+        .sort({ dateCreated: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+    if (!paymentList) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(paymentList);
+})
+
+/**
+ * @swagger
+ * /payments/webhooks/{provider}:
+ *   post:
+ *     summary: Payment outcome reported by a provider
+ *     description: |
+ *       Called by the payment provider, not by clients. The request signature is checked before anything
+ *       is applied. A successful payment moves its order to Paid, a failed one moves a Pending order to
+ *       Failed. Events already received are acknowledged without being applied again.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "fake"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             id: "fake_evt_1"
+ *             type: "payment.succeeded"
+ *             reference: "fake_pi_0123456789abcdef"
+ *             amount: 29659
+ *             currency: "USD"
+ *     responses:
+ *       200:
+ *         description: Event received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                 ignored:
+ *                   type: boolean
+ *                   description: The event type or payment is unknown
+ *                 duplicate:
+ *                   type: boolean
+ *       400:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Unknown provider, or not the configured one
+ *       500:
+ *         description: The event could not be handled, the provider should send it again
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider)
+        return res.status(404).send('payment provider not found!')
+
+    let event;
+    try {
+        event = provider.verifyWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.headers);
+    } catch (err) {
+        if (err.name === 'PaymentError') return res.status(400).send(err.message);
+        console.error('Failed to verify payment webhook', err);
+        return res.status(500).send('the webhook could not be verified');
+    }
+    let result;
+    try {
+        result = await handlePaymentEvent(provider.name, event);
+    } catch (err) {
+        // a 500 makes the provider send the event again later
+        console.error('Failed to handle payment webhook', err);
+        return res.status(500).send('the webhook could not be handled');
+    }
+    res.send({ received: true, ignored: Boolean(result.ignored), duplicate: Boolean(result.duplicate) });
+})
+
+/**
+ * @swagger
+ * /payments/{id}/simulate:
+ *   post:
+ *     summary: Complete a payment of the fake provider (Admin only)
+ *     description: Sends a signed webhook for the payment as the fake provider would, for local testing. Needs PAYMENT_PROVIDER=fake outside production.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [succeeded, failed]
+ *               failureReason:
+ *                 type: string
+ *                 example: "card declined"
+ *     responses:
+ *       200:
+ *         description: The payment after the webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid outcome, the payment is not one of the fake provider, or the fake provider is not enabled
+ *       404:
+ *         description: Payment not found
+ */
+router.post('/:id/simulate', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Payment Id')
+    const outcome = req.body.outcome;
+    if (!['succeeded', 'failed'].includes(outcome))
+        return res.status(400).send('outcome must be succeeded or failed')
+    const payment = await Payment.findById(req.params.id);
+    if (!payment)
+        return res.status(404).send('payment not found!')
+    if (payment.provider !== 'fake')
+        return res.status(400).send('only payments of the fake provider can be simulated')
+
+    // goes through signature verification like a real delivery
+    const provider = getPaymentProvider('fake');
+    if (!provider)
+        return res.status(400).send('the fake payment provider is not enabled')
+    const webhook = provider.signWebhook({
+        type: `payment.${outcome}`,
+        reference: payment.reference,
+        amount: payment.amount,
+        currency: payment.currency,
+        failureReason: outcome === 'failed' ? req.body.failureReason || 'declined by the fake provider' : undefined
+    });
+    const result = await handlePaymentEvent(provider.name, provider.verifyWebhook(webhook.body, webhook.headers));
+    res.send(result.payment);
+})
+
+module.exports = router;
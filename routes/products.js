@@ -1,39 +1,93 @@
 const { Category } = require('../models/category');
 const { Product } = require('../models/product'); // Import the Product model from the models directory
+const { Review } = require('../models/review');
+const { Order } = require('../models/order');
+const { OrderItem } = require('../models/order-item');
 const express = require('express'); // Import Express.js framework
 const router = express.Router(); // Create a new router instance
 const mongoose = require('mongoose'); // Create a new router instance
 const multer = require('multer')
+const { saveImageRenditions } = require('../helpers/image-processing');
+const { releaseFiles } = require('../helpers/product-files');
+const { recordInitialStock, recordRemovedVariants } = require('../helpers/stock');
+const { parseProductQuery, buildProductPipeline, shapeProductPage } = require('../helpers/product-query');
+const { findRelatedProducts } = require('../helpers/recommendations');
+const { loadCategoryTree, withBreadcrumb } = require('../helpers/category-tree');
+const { checkAttributeValues } = require('../helpers/product-attributes');
+const { snapshotOf, recordRevision, applyRevision } = require('../helpers/product-history');
+const { ProductRevision } = require('../models/product-revision');
+const { PRODUCT_FIELDS, localizeProduct, localizeCategory, checkTranslations } = require('../helpers/locale');
+const { PURCHASED_STATUSES } = require('../helpers/order-status');
 
 const FILE_TYPE_MAP = {
     'image/png': 'png',
     'image/jpeg': 'jpeg',
-    'image/jpg': 'jpg'
+    'image/jpg': 'jpg',
+    'image/webp': 'webp'
 }
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const isValid = FILE_TYPE_MAP[file.mimetype];
-    let uploadError = new Error('Invalid image type');
-
-    if (isValid){
-        uploadError = null
-    }
-    cb(uploadError, 'public/uploads')
-  },
-  filename: function (req, file, cb) {
-    const fieldName = file.originalname.split(' ').join('-');
-    const extension = FILE_TYPE_MAP[file.mimetype]; 
-    cb(null, `${fieldName}-${Date.now()}.${extension}`)
-  }
+// uploads are kept in memory and only written out, through the configured
+// storage, as processed renditions
+const uploadOptions = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: function (req, file, cb) {
+        const isValid = FILE_TYPE_MAP[file.mimetype];
+        cb(isValid ? null : new Error('Invalid image type'), Boolean(isValid))
+    }
 })
 
-const uploadOptions = multer({ storage: storage })
+// admins see draft, archived and scheduled products on the public routes too
+function isAdmin(req) {
+    return Boolean(req.user && req.user.isAdmin);
+}
+
+// multipart forms can only carry strings, so structured fields arrive as JSON
+function parseJsonField(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Lang:
+ *       in: query
+ *       name: lang
+ *       schema:
+ *         type: string
+ *         enum: [vi, en]
+ *       description: Locale of product and category texts, takes precedence over Accept-Language
+ *     AcceptLanguage:
+ *       in: header
+ *       name: Accept-Language
+ *       schema:
+ *         type: string
+ *         example: "vi-VN,vi;q=0.9,en;q=0.8"
+ *       description: Preferred locales. Untranslated texts fall back to the default locale (DEFAULT_LOCALE).
+ */
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     ProductTranslations:
+ *       type: object
+ *       description: |
+ *         Texts in other locales, keyed by locale (vi, en). name, description and richDescription of the
+ *         product hold the default locale, which cannot be given here; on GET routes they are replaced by the
+ *         requested locale's texts.
+ *       additionalProperties:
+ *         type: object
+ *         properties:
+ *           name:
+ *             type: string
+ *           description:
+ *             type: string
+ *           richDescription:
+ *             type: string
+ *       example: { "vi": { "name": "Điện thoại iPhone 15", "description": "Điện thoại thông minh" } }
  *     Product:
  *       type: object
  *       required:
@@ -48,6 +102,14 @@ const uploadOptions = multer({ storage: storage })
  *         name:
  *           type: string
  *           description: Product name
+ *         sku:
+ *           type: string
+ *           description: Optional unique stock keeping unit
+ *           example: "IP14PRO"
+ *         slug:
+ *           type: string
+ *           description: Optional unique URL slug (lowercase letters, digits and dashes)
+ *           example: "iphone-14-pro"
  *         description:
  *           type: string
  *           description: Product description
@@ -62,31 +124,246 @@ const uploadOptions = multer({ storage: storage })
  *           items:
  *             type: string
  *           description: Gallery images URLs
+ *         imageRenditions:
+ *           $ref: '#/components/schemas/ImageRenditions'
+ *         galleryRenditions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImageRenditions'
+ *           description: Renditions of each gallery image, in the same order as images
  *         brand:
  *           type: string
  *           description: Product brand
  *         price:
- *           type: number
- *           description: Product price
+ *           type: integer
+ *           description: Product price in minor units of its currency, e.g. cents
+ *           example: 99999
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code
+ *           example: "USD"
  *         category:
  *           type: string
  *           description: Category ID reference
+ *         breadcrumb:
+ *           $ref: '#/components/schemas/Breadcrumb'
+ *         translations:
+ *           $ref: '#/components/schemas/ProductTranslations'
+ *         attributes:
+ *           type: object
+ *           description: Values of the attributes defined by the category and its parents
+ *           additionalProperties: true
+ *           example: { "screenSize": 6.1, "material": "aluminium" }
  *         countInStock:
  *           type: number
- *           description: Available quantity in stock
+ *           description: Available quantity in stock, changed through inventory movements
+ *         weight:
+ *           type: number
+ *           description: Shipping weight in grams
+ *           example: 250
+ *         lowStockThreshold:
+ *           type: number
+ *           nullable: true
+ *           description: Stock level at which the product shows in the low-stock report, null for the default
  *         rating:
  *           type: number
- *           description: Product rating (0-5)
+ *           description: Average of approved review ratings (0-5), maintained automatically
  *         numReviews:
  *           type: number
- *           description: Number of reviews
+ *           description: Number of approved reviews, maintained automatically
  *         isFeatured:
  *           type: boolean
  *           description: Is product featured
+ *         status:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *           description: Lifecycle status, only published products are public
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Published products stay hidden until this time
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Published products are hidden again from this time
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
+ *           description: Option axes variants are built from
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *           description: Purchasable variants. When present, price and countInStock are derived from them
  *         dateCreated:
  *           type: string
  *           format: date-time
  *           description: Creation date
+ *     ImageRenditions:
+ *       type: object
+ *       description: URLs of the resized copies generated for an uploaded image
+ *       properties:
+ *         thumbnail:
+ *           type: string
+ *           description: Up to 150px
+ *         medium:
+ *           type: string
+ *           description: Up to 600px
+ *         large:
+ *           type: string
+ *           description: Up to 1200px
+ *         webp:
+ *           type: object
+ *           properties:
+ *             thumbnail:
+ *               type: string
+ *             medium:
+ *               type: string
+ *             large:
+ *               type: string
+ *     ProductOption:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "size"
+ *         values:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["S", "M", "L"]
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - price
+ *         - countInStock
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated variant ID
+ *         sku:
+ *           type: string
+ *           example: "TEE-RED-M"
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { "size": "M", "color": "red" }
+ *         price:
+ *           type: integer
+ *           description: Variant price in minor units of the product currency
+ *           example: 1999
+ *         countInStock:
+ *           type: number
+ *           example: 12
+ *         weight:
+ *           type: number
+ *           nullable: true
+ *           description: Shipping weight in grams, null for the product's
+ *         image:
+ *           type: string
+ *           description: Variant image URL (large rendition)
+ *         imageRenditions:
+ *           $ref: '#/components/schemas/ImageRenditions'
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated review ID
+ *         product:
+ *           type: string
+ *           description: Product ID reference
+ *         user:
+ *           type: string
+ *           description: Reviewer (populated with name on listings)
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, hidden]
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ *     ProductPage:
+ *       type: object
+ *       properties:
+ *         products:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ *         total:
+ *           type: number
+ *           description: Number of products matching the filter
+ *         page:
+ *           type: number
+ *           nullable: true
+ *           description: Current page (null when paginating by cursor)
+ *         limit:
+ *           type: number
+ *           description: Page size
+ *         totalPages:
+ *           type: number
+ *           description: Number of pages for the current limit
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Cursor for the next page, null on the last page
+ *         facets:
+ *           $ref: '#/components/schemas/ProductFacets'
+ *     FacetBucket:
+ *       type: object
+ *       properties:
+ *         min:
+ *           type: number
+ *           description: Lower bound (inclusive)
+ *         max:
+ *           type: number
+ *           nullable: true
+ *           description: Upper bound (exclusive), null for the open-ended last bucket
+ *         count:
+ *           type: number
+ *     ProductFacets:
+ *       type: object
+ *       description: Only present when facets=true
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               count:
+ *                 type: number
+ *         brands:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               brand:
+ *                 type: string
+ *               count:
+ *                 type: number
+ *         priceRanges:
+ *           type: array
+ *           description: Only filled when the currency filter is given, prices in other currencies do not compare
+ *           items:
+ *             $ref: '#/components/schemas/FacetBucket'
+ *         ratings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetBucket'
  *     ProductCount:
  *       type: object
  *       properties:
@@ -116,24 +393,117 @@ const uploadOptions = multer({ storage: storage })
  * @swagger
  * /products:
  *   get:
- *     summary: Get all products with optional category filtering
+ *     summary: Search, filter, sort and paginate products
+ *     description: Only live products are returned, unless the caller is a signed-in admin.
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Admin only, filter by lifecycle statuses (comma separated)
+ *         example: "draft,archived"
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Free-text search over name, description and brand, including translated names and descriptions
+ *         example: "iphone"
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category IDs (comma separated)
+ *         description: Filter by category IDs (comma separated), including their subcategories
  *         example: "64a7b8c9d1e2f3a4b5c6d7e8,64a7b8c9d1e2f3a4b5c6d7e9"
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Filter by brands (comma separated)
+ *         example: "Apple,Samsung"
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price in minor units (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price in minor units (inclusive)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only products priced in this currency
+ *         example: "USD"
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *         description: Only featured (true) or non-featured (false) products
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with stock available
+ *       - in: query
+ *         name: attributes
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties: true
+ *         description: |
+ *           Filter by attribute values: attributes[material]=aluminium,steel matches any of the values,
+ *           attributes[screenSize][min]=6&attributes[screenSize][max]=6.7 a numeric range.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, -price, rating, -rating, dateCreated, -dateCreated, name, -name, relevance, -relevance]
+ *         description: Sort field, prefix with "-" for descending. Defaults to -relevance when q is given, else -dateCreated
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number (ignored when cursor is given)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *         description: Also return category, brand, price and rating counts for the current filter
  *     responses:
  *       200:
- *         description: List of products retrieved successfully
+ *         description: Page of products retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               $ref: '#/components/schemas/ProductPage'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "Invalid sort"
  *       500:
  *         description: Server error
  *         content:
@@ -142,19 +512,30 @@ const uploadOptions = multer({ storage: storage })
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get(`/`, async (req, res) => {
-    let filter = {};
-    if(req.query.category)
-    {
-        filter = {category: req.query.category.split(',')}
+    const categoryTree = await loadCategoryTree();
+    let options;
+    try {
+        options = parseProductQuery(req.query, { admin: isAdmin(req), categoryTree });
+    } catch (err) {
+        return res.status(400).send(err.message);
     }
 
-    const productList = await Product.find(filter).populate('category');
-    if (!productList) {
+    const [result] = await Product.aggregate(buildProductPipeline(options));
+    if (!result) {
         return res.status(500).json({
             success: false,
         })
     }
-    res.send(productList);
+
+    const { docs, ...pagination } = shapeProductPage(result, options);
+    const products = await Product.populate(docs.map(doc => Product.hydrate(doc)), { path: 'category' });
+    if (pagination.facets) {
+        pagination.facets.categories = pagination.facets.categories.map(facet => {
+            const category = categoryTree.get(facet.id);
+            return category ? { ...facet, name: localizeCategory(category, req.locale).name } : facet;
+        });
+    }
+    res.send({ products: products.map(product => withBreadcrumb(product, categoryTree, req.locale)), ...pagination });
 });
 
 /**
@@ -162,6 +543,7 @@ router.get(`/`, async (req, res) => {
  * /products/get/count:
  *   get:
  *     summary: Get total count of products
+ *     description: Counts live products, or all products for admins.
  *     tags: [Products]
  *     responses:
  *       200:
@@ -178,7 +560,7 @@ router.get(`/`, async (req, res) => {
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get(`/get/count`, async (req, res) => {
-    const countProduct = await Product.countDocuments((count) => count)
+    const countProduct = await Product.countDocuments(isAdmin(req) ? {} : Product.liveFilter())
 
     if (!countProduct) {
         return res.status(500).json({
@@ -197,6 +579,8 @@ router.get(`/get/count`, async (req, res) => {
  *     summary: Get featured products with limit
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *       - in: path
  *         name: count
  *         required: true
@@ -223,14 +607,16 @@ router.get(`/get/count`, async (req, res) => {
  */
 router.get(`/get/featured/:count`, async (req, res) => {
     const count = req.params.count ? req.params.count : 0
-    const products = await Product.find({isFeatured: true}).limit(+count) //+count để chuyển nó thành số
+    const filter = isAdmin(req) ? {isFeatured: true} : {isFeatured: true, ...Product.liveFilter()}
+    const products = await Product.find(filter).limit(+count) //+count để chuyển nó thành số
 
     if (!products) {
         return res.status(500).json({
             success: false,
         })
     }
-    res.send(products);
+    const categoryTree = await loadCategoryTree();
+    res.send(products.map(product => withBreadcrumb(product, categoryTree, req.locale)));
 });
 
 /**
@@ -238,8 +624,11 @@ router.get(`/get/featured/:count`, async (req, res) => {
  * /products/{id}:
  *   get:
  *     summary: Get product by ID
+ *     description: Products that are not live are only returned to admins.
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *       - in: path
  *         name: id
  *         required: true
@@ -269,7 +658,82 @@ router.get('/:id', async (req, res) => {
             success: false,
         })
     }
-    res.send(product);
+    if (!product.isLive() && !isAdmin(req)) {
+        return res.status(404).json({
+            success: false,
+            message: 'product not found!'
+        })
+    }
+    res.send(withBreadcrumb(product, await loadCategoryTree(), req.locale));
+});
+
+/**
+ * @swagger
+ * /products/{id}/related:
+ *   get:
+ *     summary: Related products
+ *     description: |
+ *       Products frequently bought in the same orders as this one, most orders first. When there is not
+ *       enough order history the list is filled up with live products of the same category or brand.
+ *       Order history is cached and refreshed every RECOMMENDATIONS_REFRESH_MINUTES (default 60).
+ *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 24
+ *     responses:
+ *       200:
+ *         description: Related products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   reason:
+ *                     type: string
+ *                     enum: [bought-together, same-category, same-brand]
+ *                   orders:
+ *                     type: number
+ *                     description: Orders containing both products (bought-together only)
+ *                   product:
+ *                     $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid product ID
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/related', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Product Id')
+
+    const product = await Product.findById(req.params.id);
+    if (!product || (!product.isLive() && !isAdmin(req))) {
+        return res.status(404).json({
+            success: false,
+            message: 'product not found!'
+        })
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), 24);
+    try {
+        const related = await findRelatedProducts(product, { limit });
+        res.send(related.map(entry => ({ ...entry, product: localizeProduct(entry.product, req.locale) })));
+    } catch (err) {
+        res.status(500).json({ success: false })
+    }
 });
 
 /**
@@ -297,6 +761,14 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *                 description: Product name
  *                 example: "iPhone 14 Pro"
+ *               sku:
+ *                 type: string
+ *                 description: Optional unique stock keeping unit
+ *                 example: "IP14PRO"
+ *               slug:
+ *                 type: string
+ *                 description: Optional unique URL slug
+ *                 example: "iphone-14-pro"
  *               description:
  *                 type: string
  *                 description: Product description
@@ -308,35 +780,68 @@ router.get('/:id', async (req, res) => {
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Main product image (PNG, JPEG, JPG)
+ *                 description: Main product image (PNG, JPEG, JPG, WebP)
  *               brand:
  *                 type: string
  *                 description: Product brand
  *                 example: "Apple"
  *               price:
- *                 type: number
- *                 description: Product price
- *                 example: 999.99
+ *                 type: integer
+ *                 description: Product price in minor units, e.g. cents
+ *                 example: 99999
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency code, defaults to the store currency
+ *                 example: "USD"
  *               category:
  *                 type: string
  *                 description: Category ID
  *                 example: "64a7b8c9d1e2f3a4b5c6d7e8"
  *               countInStock:
  *                 type: number
- *                 description: Available quantity
+ *                 description: Initial quantity, recorded as a receipt in the inventory ledger
  *                 example: 100
- *               rating:
+ *               lowStockThreshold:
  *                 type: number
- *                 description: Product rating (0-5)
- *                 example: 4.5
- *               numReviews:
+ *                 description: Stock level at which the product shows in the low-stock report
+ *                 example: 10
+ *               weight:
  *                 type: number
- *                 description: Number of reviews
- *                 example: 256
+ *                 description: Shipping weight in grams
+ *                 example: 250
  *               isFeatured:
  *                 type: boolean
  *                 description: Is product featured
  *                 example: true
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published, archived]
+ *                 description: Lifecycle status, defaults to published
+ *                 example: "draft"
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule publishing for a published product
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule unpublishing for a published product
+ *               options:
+ *                 type: string
+ *                 description: JSON array of option axes
+ *                 example: '[{"name":"size","values":["S","M","L"]}]'
+ *               variants:
+ *                 type: string
+ *                 description: JSON array of variants, each with sku, options, price and countInStock
+ *                 example: '[{"sku":"TEE-S","options":{"size":"S"},"price":1999,"countInStock":10}]'
+ *               attributes:
+ *                 type: string
+ *                 description: JSON object of attribute values, checked against the category's attributes
+ *                 example: '{"screenSize":6.1}'
+ *               translations:
+ *                 type: string
+ *                 description: JSON object of texts in other locales, see ProductTranslations
+ *                 example: '{"vi":{"name":"Điện thoại iPhone 15"}}'
  *     responses:
  *       200:
  *         description: Product created successfully
@@ -367,22 +872,63 @@ router.post(`/`, uploadOptions.single('image'), async (req, res) => {
     const file = req.file;
     if(!file) return res.status(400).send("No image in the request")
 
-    const fileName = req.file.filename
-    const basePath = `${req.protocol}://${req.get('host')}/public/uploads/`;
+    let options, variants, attributes, translations;
+    try {
+        options = parseJsonField(req.body.options, []);
+        variants = parseJsonField(req.body.variants, []);
+        attributes = parseJsonField(req.body.attributes, {});
+        translations = parseJsonField(req.body.translations, {});
+    } catch (err) {
+        return res.status(400).send('Invalid options, variants, attributes or translations');
+    }
+    const translationErrors = checkTranslations(translations, PRODUCT_FIELDS);
+    if (translationErrors.length)
+        return res.status(400).send(translationErrors.join(', '));
+    const tree = await loadCategoryTree();
+    const checkedAttributes = checkAttributeValues(attributes, tree.attributeDefinitions(category._id));
+    if (checkedAttributes.errors.length)
+        return res.status(400).send(checkedAttributes.errors.join(', '));
+
+    let renditions;
+    try {
+        renditions = await saveImageRenditions(file);
+    } catch (err) {
+        if (err.name === 'ImageError') return res.status(400).send(err.message);
+        console.error('Failed to save image renditions', err);
+        return res.status(500).send('the image could not be saved');
+    }
+
     let product = new Product({
         name: req.body.name,
+        sku: req.body.sku,
+        slug: req.body.slug,
         description: req.body.description,
         richDescription: req.body.richDescription,
-        image: `${basePath}${fileName}`,
+        image: renditions.large,
+        imageRenditions: renditions,
         brand: req.body.brand,
         price: req.body.price,
+        currency: req.body.currency,
         category: req.body.category,
         countInStock: req.body.countInStock,
-        rating: req.body.rating,
-        numReviews: req.body.numReviews,
-        isFeatured: req.body.isFeatured
+        lowStockThreshold: req.body.lowStockThreshold || null,
+        weight: req.body.weight,
+        isFeatured: req.body.isFeatured,
+        status: req.body.status,
+        publishAt: req.body.publishAt || null,
+        unpublishAt: req.body.unpublishAt || null,
+        attributes: checkedAttributes.values,
+        translations: translations,
+        options: options,
+        variants: variants
     })
-    product = await product.save();
+    try {
+        product = await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await recordInitialStock(product, req.user.userId);
+    await recordRevision(product, 'create', { user: req.user.userId });
 
     if (!product)
         return res.status(500).send('The product cannot be created');
@@ -395,6 +941,9 @@ router.post(`/`, uploadOptions.single('image'), async (req, res) => {
  * /products/{id}:
  *   put:
  *     summary: Update existing product
+ *     description: |
+ *       Image files the product no longer references after the update are deleted from storage.
+ *       Stock is not changed here, post an inventory adjustment instead.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -417,6 +966,12 @@ router.post(`/`, uploadOptions.single('image'), async (req, res) => {
  *                 type: string
  *                 description: Product name
  *                 example: "iPhone 14 Pro Max"
+ *               sku:
+ *                 type: string
+ *                 description: Optional unique stock keeping unit
+ *               slug:
+ *                 type: string
+ *                 description: Optional unique URL slug
  *               description:
  *                 type: string
  *                 description: Product description
@@ -438,29 +993,51 @@ router.post(`/`, uploadOptions.single('image'), async (req, res) => {
  *                 description: Product brand
  *                 example: "Apple"
  *               price:
- *                 type: number
- *                 description: Product price
- *                 example: 1099.99
+ *                 type: integer
+ *                 description: Product price in minor units, e.g. cents. Ignored for products with variants, which take the lowest variant price.
+ *                 example: 109999
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency code
+ *                 example: "USD"
  *               category:
  *                 type: string
  *                 description: Category ID
  *                 example: "64a7b8c9d1e2f3a4b5c6d7e8"
- *               countInStock:
- *                 type: number
- *                 description: Available quantity
- *                 example: 50
- *               rating:
+ *               lowStockThreshold:
  *                 type: number
- *                 description: Product rating (0-5)
- *                 example: 4.7
- *               numReviews:
+ *                 nullable: true
+ *                 description: Stock level at which the product shows in the low-stock report
+ *                 example: 10
+ *               weight:
  *                 type: number
- *                 description: Number of reviews
- *                 example: 312
+ *                 description: Shipping weight in grams
+ *               attributes:
+ *                 type: object
+ *                 description: Attribute values, checked against the category's attributes. Omit to keep the current values.
+ *                 additionalProperties: true
+ *                 example: { "screenSize": 6.1 }
+ *               translations:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/ProductTranslations'
+ *                 description: Replaces all translations. Omit to keep the current ones.
  *               isFeatured:
  *                 type: boolean
  *                 description: Is product featured
  *                 example: true
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published, archived]
+ *                 description: Lifecycle status
+ *                 example: "draft"
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule publishing for a published product
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule unpublishing for a published product
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -485,31 +1062,92 @@ router.post(`/`, uploadOptions.single('image'), async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
     if(!mongoose.isValidObjectId(req.params.id)){
-        res.status(400).send('Invalid Product Id')
+        return res.status(400).send('Invalid Product Id')
     }
     const category = await Category.findById(req.body.category);
     if (!category)
         return res.status(400).send('Invalid Category')
-    const product = await Product.findByIdAndUpdate(req.params.id,
-        {
-            name: req.body.name,
-            description: req.body.description,
-            richDescription: req.body.richDescription,
-            image: req.body.image,
-            images: req.body.images,
-            brand: req.body.brand,
-            price: req.body.price,
-            category: req.body.category,
-            countInStock: req.body.countInStock,
-            rating: req.body.rating,
-            numReviews: req.body.numReviews,
-            isFeatured: req.body.isFeatured
-        },
-        { new: true }
-    )
-    if (!product)
+    const previous = await Product.findById(req.params.id);
+    if (!previous)
         return res.status(404).send('the product cannot be updated!')
 
+    const publishAt = req.body.publishAt !== undefined ? req.body.publishAt : previous.publishAt;
+    const unpublishAt = req.body.unpublishAt !== undefined ? req.body.unpublishAt : previous.unpublishAt;
+    if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt))
+        return res.status(400).send('unpublishAt must be after publishAt')
+
+    // image URLs that stay on the product keep their renditions
+    const renditionsByUrl = new Map(previous.galleryEntries().map(entry => [entry.url, entry.renditions]));
+    if (previous.image) {
+        renditionsByUrl.set(previous.image, previous.imageRenditions ? previous.imageRenditions.toObject() : undefined);
+    }
+    // values are re-checked when the category changes, its attributes may differ
+    const attributeUpdate = {};
+    if (req.body.attributes !== undefined || String(previous.category) !== String(category._id)) {
+        let attributes;
+        try {
+            attributes = req.body.attributes !== undefined ? parseJsonField(req.body.attributes, {}) : previous.attributes;
+        } catch (err) {
+            return res.status(400).send('Invalid attributes');
+        }
+        const tree = await loadCategoryTree();
+        const checked = checkAttributeValues(attributes, tree.attributeDefinitions(category._id));
+        if (checked.errors.length)
+            return res.status(400).send(checked.errors.join(', '));
+        attributeUpdate.attributes = checked.values;
+    }
+
+    if (req.body.translations !== undefined) {
+        const translationErrors = checkTranslations(req.body.translations, PRODUCT_FIELDS);
+        if (translationErrors.length)
+            return res.status(400).send(translationErrors.join(', '));
+    }
+
+    const imageUpdate = {};
+    if (req.body.image !== undefined) {
+        imageUpdate.imageRenditions = renditionsByUrl.get(req.body.image) || null;
+    }
+    if (Array.isArray(req.body.images)) {
+        imageUpdate.galleryRenditions = req.body.images.map(url => renditionsByUrl.get(url) || {});
+    }
+
+    const update = {
+        ...imageUpdate,
+        ...attributeUpdate,
+        translations: req.body.translations,
+        name: req.body.name,
+        sku: req.body.sku,
+        slug: req.body.slug,
+        description: req.body.description,
+        richDescription: req.body.richDescription,
+        image: req.body.image,
+        images: req.body.images,
+        brand: req.body.brand,
+        price: req.body.price,
+        currency: req.body.currency,
+        category: req.body.category,
+        lowStockThreshold: req.body.lowStockThreshold,
+        weight: req.body.weight,
+        isFeatured: req.body.isFeatured,
+        status: req.body.status,
+        publishAt: req.body.publishAt,
+        unpublishAt: req.body.unpublishAt
+    };
+    Object.keys(update).forEach(key => update[key] === undefined && delete update[key]);
+
+    // saved through the document so the schema keeps price and stock in
+    // line with the variants
+    const before = snapshotOf(previous);
+    const previousFiles = previous.fileUrls();
+    const product = previous.set(update);
+    try {
+        await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+
+    await releaseFiles(previousFiles, product.fileUrls(), product._id);
+    await recordRevision(product, 'update', { user: req.user.userId, before });
     res.send(product)
 })
 
@@ -518,6 +1156,7 @@ router.put('/:id', async (req, res) => {
  * /products/{id}:
  *   delete:
  *     summary: Delete product by ID
+ *     description: Uploaded files of the product are deleted from storage unless another product still uses them.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -571,8 +1210,10 @@ router.put('/:id', async (req, res) => {
  *                   example: "product not found!"
  */
 router.delete('/:id', (req,res)=>{
-    Product.findByIdAndRemove(req.params.id).then(product=>{
+    Product.findByIdAndRemove(req.params.id).then(async product=>{
         if(product){
+            await releaseFiles(product.fileUrls(), new Set(), product._id);
+            await recordRevision(product, 'delete', { user: req.user.userId });
             return res.status(200).json({success: true, message: "the product is deleted!"})
         }
         else{
@@ -611,7 +1252,7 @@ router.delete('/:id', (req,res)=>{
  *                 items:
  *                   type: string
  *                   format: binary
- *                 description: Gallery images (max 10 files, PNG/JPEG/JPG only)
+ *                 description: Gallery images (max 10 files, PNG/JPEG/JPG/WebP only)
  *                 maxItems: 10
  *     responses:
  *       200:
@@ -642,20 +1283,22 @@ router.put(
         if(!mongoose.isValidObjectId(req.params.id)) {
             return res.status(400).send('Invalid Product Id')
          }
-         const files = req.files
-         let imagesPaths = [];
-         const basePath = `${req.protocol}://${req.get('host')}/public/uploads/`;
-
-         if(files) {
-            files.map(file =>{
-                imagesPaths.push(`${basePath}${file.filename}`);
-            })
+         const files = req.files || []
+         let renditions;
+         try {
+            renditions = await Promise.all(files.map(file => saveImageRenditions(file)));
+         } catch (err) {
+            if (err.name === 'ImageError') return res.status(400).send(err.message);
+            console.error('Failed to save image renditions', err);
+            return res.status(500).send('the image could not be saved');
          }
 
+         const previous = await Product.findById(req.params.id);
          const product = await Product.findByIdAndUpdate(
             req.params.id,
             {
-                images: imagesPaths
+                images: renditions.map(rendition => rendition.large),
+                galleryRenditions: renditions
             },
             { new: true}
         )
@@ -663,9 +1306,911 @@ router.put(
         if(!product)
             return res.status(500).send('the gallery cannot be updated!')
 
+        await releaseFiles(previous.fileUrls(), product.fileUrls(), product._id);
+        await recordRevision(product, 'update', { user: req.user.userId, before: previous });
+
         res.send(product);
     }
 )
 
+// gallery positions arrive as path params
+function galleryIndex(product, value) {
+    const index = Number(value);
+    return Number.isInteger(index) && index >= 0 && index < product.images.length ? index : -1;
+}
+
+/**
+ * @swagger
+ * /products/{id}/gallery:
+ *   post:
+ *     summary: Append images to the product gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Images to add (max 10 files, PNG/JPEG/JPG/WebP only)
+ *                 maxItems: 10
+ *     responses:
+ *       200:
+ *         description: Images appended, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid Product ID or no valid image in the request
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/gallery', uploadOptions.array('images', 10), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+    if (!req.files || !req.files.length)
+        return res.status(400).send('No image in the request')
+
+    let renditions;
+    try {
+        renditions = await Promise.all(req.files.map(file => saveImageRenditions(file)));
+    } catch (err) {
+        if (err.name === 'ImageError') return res.status(400).send(err.message);
+        console.error('Failed to save image renditions', err);
+        return res.status(500).send('the image could not be saved');
+    }
+    product.setGallery([
+        ...product.galleryEntries(),
+        ...renditions.map(rendition => ({ url: rendition.large, renditions: rendition }))
+    ]);
+    await product.save();
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/gallery/order:
+ *   put:
+ *     summary: Reorder the product gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Current positions of the gallery images in their new order, must list every position once
+ *                 example: [2, 0, 1]
+ *     responses:
+ *       200:
+ *         description: Gallery reordered, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid order
+ *       404:
+ *         description: Product not found
+ */
+router.put('/:id/gallery/order', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+
+    const order = req.body.order;
+    const entries = product.galleryEntries();
+    const isPermutation = Array.isArray(order)
+        && order.length === entries.length
+        && new Set(order).size === order.length
+        && order.every(index => galleryIndex(product, index) !== -1);
+    if (!isPermutation)
+        return res.status(400).send('order must list every gallery position exactly once')
+
+    product.setGallery(order.map(index => entries[index]));
+    await product.save();
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/gallery/{index}/main:
+ *   put:
+ *     summary: Promote a gallery image to the main product image
+ *     description: The previous main image takes the promoted image's place in the gallery.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Position of the image in the gallery
+ *     responses:
+ *       200:
+ *         description: Main image updated, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product or gallery image not found
+ */
+router.put('/:id/gallery/:index/main', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+    const index = galleryIndex(product, req.params.index);
+    if (index === -1)
+        return res.status(404).send('gallery image not found!')
+
+    const entries = product.galleryEntries();
+    const promoted = entries[index];
+    if (product.image) {
+        entries[index] = {
+            url: product.image,
+            renditions: product.imageRenditions ? product.imageRenditions.toObject() : undefined
+        };
+    } else {
+        entries.splice(index, 1);
+    }
+    product.image = promoted.url;
+    product.imageRenditions = promoted.renditions;
+    product.setGallery(entries);
+    await product.save();
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/gallery/{index}:
+ *   delete:
+ *     summary: Remove one image from the product gallery
+ *     description: The image file and all of its renditions are deleted from storage.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Position of the image in the gallery
+ *     responses:
+ *       200:
+ *         description: Image removed, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product or gallery image not found
+ */
+router.delete('/:id/gallery/:index', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+    const index = galleryIndex(product, req.params.index);
+    if (index === -1)
+        return res.status(404).send('gallery image not found!')
+
+    const previousFiles = product.fileUrls();
+    const entries = product.galleryEntries();
+    entries.splice(index, 1);
+    product.setGallery(entries);
+    await product.save();
+    await releaseFiles(previousFiles, product.fileUrls(), product._id);
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/options:
+ *   put:
+ *     summary: Replace the option axes of a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductOption'
+ *     responses:
+ *       200:
+ *         description: Options updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Existing variants do not match the new options
+ *       404:
+ *         description: Product not found
+ */
+router.put('/:id/options', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+
+    product.options = req.body.options || [];
+    try {
+        await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *               - price
+ *               - countInStock
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 example: "TEE-RED-M"
+ *               options:
+ *                 type: string
+ *                 description: JSON object of option values
+ *                 example: '{"size":"M","color":"red"}'
+ *               price:
+ *                 type: integer
+ *                 description: Price in minor units of the product currency
+ *                 example: 1999
+ *               countInStock:
+ *                 type: number
+ *                 example: 12
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in grams when it differs from the product's
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional variant image (PNG, JPEG, JPG, WebP)
+ *     responses:
+ *       200:
+ *         description: Variant added, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid variant
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/variants', uploadOptions.single('image'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+
+    let options;
+    try {
+        options = parseJsonField(req.body.options, {});
+    } catch (err) {
+        return res.status(400).send('Invalid options');
+    }
+    let renditions;
+    try {
+        renditions = req.file ? await saveImageRenditions(req.file) : undefined;
+    } catch (err) {
+        if (err.name === 'ImageError') return res.status(400).send(err.message);
+        console.error('Failed to save image renditions', err);
+        return res.status(500).send('the image could not be saved');
+    }
+    const variant = product.variants.create({
+        sku: req.body.sku,
+        options: options,
+        price: req.body.price,
+        countInStock: req.body.countInStock,
+        weight: req.body.weight === undefined || req.body.weight === '' ? null : req.body.weight,
+        image: renditions ? renditions.large : '',
+        imageRenditions: renditions
+    });
+    product.variants.push(variant);
+    try {
+        await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await recordInitialStock(product, req.user.userId, [variant]);
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant
+ *     description: Stock is not changed here, post an inventory adjustment instead.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID or SKU
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: string
+ *                 description: JSON object of option values
+ *               price:
+ *                 type: integer
+ *                 description: Price in minor units of the product currency
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in grams, empty for the product's
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Variant updated, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid variant
+ *       404:
+ *         description: Product or variant not found
+ */
+router.put('/:id/variants/:variantId', uploadOptions.single('image'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant)
+        return res.status(404).send('variant not found!')
+
+    const previousFiles = product.fileUrls();
+    try {
+        if (req.body.options !== undefined) variant.options = parseJsonField(req.body.options, {});
+    } catch (err) {
+        return res.status(400).send('Invalid options');
+    }
+    if (req.body.sku !== undefined) variant.sku = req.body.sku;
+    if (req.body.price !== undefined) variant.price = req.body.price;
+    if (req.body.weight !== undefined) variant.weight = req.body.weight === '' ? null : req.body.weight;
+    if (req.file) {
+        try {
+            variant.imageRenditions = await saveImageRenditions(req.file);
+        } catch (err) {
+            if (err.name === 'ImageError') return res.status(400).send(err.message);
+            console.error('Failed to save image renditions', err);
+            return res.status(500).send('the image could not be saved');
+        }
+        variant.image = variant.imageRenditions.large;
+    }
+    try {
+        await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await releaseFiles(previousFiles, product.fileUrls(), product._id);
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Remove a product variant
+ *     description: The stock of the removed variant is written off in the inventory ledger as an adjustment.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID or SKU
+ *     responses:
+ *       200:
+ *         description: Variant removed, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product or variant not found
+ */
+router.delete('/:id/variants/:variantId', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+    const before = snapshotOf(product);
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant)
+        return res.status(404).send('variant not found!')
+
+    const previousFiles = product.fileUrls();
+    const removed = { _id: variant._id, sku: variant.sku, countInStock: variant.countInStock };
+    variant.remove();
+    try {
+        await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await recordRemovedVariants(product, [removed], req.user.userId, 'variant removed');
+    await releaseFiles(previousFiles, product.fileUrls(), product._id);
+    await recordRevision(product, 'update', { user: req.user.userId, before });
+    res.send(product);
+})
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         version:
+ *           type: number
+ *           example: 3
+ *         action:
+ *           type: string
+ *           enum: [baseline, create, update, delete, revert]
+ *           description: baseline is the state found when a product older than the history was first changed
+ *         changes:
+ *           type: array
+ *           description: Fields that differ from the previous version (stock and ratings are not tracked)
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "price"
+ *               from:
+ *                 example: 109999
+ *               to:
+ *                 example: 10999
+ *         revertedTo:
+ *           type: number
+ *           description: Version a revert went back to
+ *         user:
+ *           type: object
+ *           description: User who made the change
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ *         snapshot:
+ *           type: object
+ *           description: The whole product at this version, only returned for a single version
+ */
+
+/**
+ * @swagger
+ * /products/{id}/history:
+ *   get:
+ *     summary: Change history of a product (Admin only)
+ *     description: Also available for deleted products.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Versions, newest first, without snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductRevision'
+ *       401:
+ *         description: Not an admin
+ */
+router.get('/:id/history', async (req, res) => {
+    if (!isAdmin(req))
+        return res.status(401).json({ message: "The user is not authorized" })
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Product Id')
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const revisions = await ProductRevision.find({ product: req.params.id })
+        .select('-snapshot')
+        .populate('user', 'name')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    if (!revisions) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(revisions);
+})
+
+/**
+ * @swagger
+ * /products/{id}/history/{version}:
+ *   get:
+ *     summary: One version of a product, with its snapshot (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductRevision'
+ *       401:
+ *         description: Not an admin
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:id/history/:version', async (req, res) => {
+    if (!isAdmin(req))
+        return res.status(401).json({ message: "The user is not authorized" })
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Product Id')
+
+    const revision = await ProductRevision.findOne({ product: req.params.id, version: Number(req.params.version) })
+        .populate('user', 'name');
+    if (!revision)
+        return res.status(404).send('version not found!')
+    res.send(revision);
+})
+
+/**
+ * @swagger
+ * /products/{id}/history/{version}/revert:
+ *   post:
+ *     summary: Revert a product to a previous version
+ *     description: |
+ *       Puts the product's fields back as they were at the version and records the revert as a new version.
+ *       Images and stock are not reverted: replaced image files may be gone, and stock follows the inventory
+ *       ledger. Variants that no longer exist come back without stock. A deleted product is created again
+ *       under its old id, without images or stock; revert it to its delete version to get it back as it was.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reverted product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: The version cannot be restored, e.g. its SKU is now used by another product
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: The category of the version no longer exists
+ */
+router.post('/:id/history/:version/revert', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Product Id')
+    const revision = await ProductRevision.findOne({ product: req.params.id, version: Number(req.params.version) });
+    if (!revision)
+        return res.status(404).send('version not found!')
+    if (!await Category.exists({ _id: revision.snapshot.category }))
+        return res.status(409).send('the category of this version no longer exists')
+
+    // a deleted product comes back under its old id
+    const existing = await Product.findById(req.params.id);
+    const product = existing || new Product({ _id: revision.product, countInStock: 0 });
+    const before = existing ? snapshotOf(existing) : undefined;
+    const previousFiles = product.fileUrls();
+    const dropped = applyRevision(product, revision);
+    try {
+        await product.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await recordRemovedVariants(product, dropped, req.user.userId, `variant removed by reverting to version ${revision.version}`);
+    await releaseFiles(previousFiles, product.fileUrls(), product._id);
+    await recordRevision(product, 'revert', { user: req.user.userId, before, revertedTo: revision.version });
+    res.send(product);
+})
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   get:
+ *     summary: Get approved reviews of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Approved reviews, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid Product ID
+ */
+router.get('/:id/reviews', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const reviews = await Review.find({ product: req.params.id, status: 'approved' })
+        .populate('user', 'name')
+        .sort({ dateCreated: -1 });
+
+    if (!reviews) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(reviews);
+})
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   post:
+ *     summary: Review a purchased product (Customers)
+ *     description: The review is held for moderation and counts towards the product rating once approved.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               comment:
+ *                 type: string
+ *                 example: "Great fit, runs a little small"
+ *     responses:
+ *       200:
+ *         description: Review submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid review or product already reviewed
+ *       403:
+ *         description: The user has no paid order of this product
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/reviews', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).send('Invalid Product Id')
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product)
+        return res.status(404).send('product not found!')
+
+    const userId = req.user.userId;
+    const orders = await Order.find({ user: userId, status: { $in: PURCHASED_STATUSES } }).select('orderItems');
+    const orderItemIds = orders.reduce((ids, order) => ids.concat(order.orderItems), []);
+    const purchased = await OrderItem.exists({ _id: { $in: orderItemIds }, product: product._id });
+    if (!purchased)
+        return res.status(403).send('Only customers who bought this product can review it')
+
+    if (await Review.exists({ product: product._id, user: userId }))
+        return res.status(400).send('You have already reviewed this product')
+
+    let review = new Review({
+        product: product._id,
+        user: userId,
+        rating: req.body.rating,
+        comment: req.body.comment
+    })
+    try {
+        review = await review.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    res.send(review);
+})
 
 module.exports = router; // Export the router to be used in other parts of the application
\ No newline at end of file
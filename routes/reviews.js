@@ -0,0 +1,156 @@
+const { Review } = require('../models/review');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Review moderation APIs (Admin only)
+ */
+
+/**
+ * @swagger
+ * /reviews:
+ *   get:
+ *     summary: List reviews for moderation (Admin only)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, hidden]
+ *         description: Filter by moderation status
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Filter by product ID
+ *     responses:
+ *       200:
+ *         description: Reviews, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Review'
+ */
+router.get('/', async (req, res) => {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.product) {
+        if (!mongoose.isValidObjectId(req.query.product))
+            return res.status(400).send('Invalid Product Id')
+        filter.product = req.query.product;
+    }
+
+    const reviews = await Review.find(filter)
+        .populate('user', 'name email')
+        .populate('product', 'name')
+        .sort({ dateCreated: -1 });
+
+    if (!reviews) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(reviews);
+})
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   put:
+ *     summary: Approve or hide a review (Admin only)
+ *     description: The product's rating and numReviews are recomputed from its approved reviews.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, hidden]
+ *                 example: "approved"
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Review Id')
+
+    const review = await Review.findById(req.params.id);
+    if (!review)
+        return res.status(404).send('the review cannot be updated!')
+
+    review.status = req.body.status;
+    try {
+        await review.save();
+    } catch (err) {
+        return res.status(400).send(err.message);
+    }
+    await Review.updateProductRating(review.product);
+
+    res.send(review);
+})
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   delete:
+ *     summary: Delete a review (Admin only)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       404:
+ *         description: Review not found
+ */
+router.delete('/:id', (req, res) => {
+    Review.findByIdAndRemove(req.params.id).then(async review => {
+        if (review) {
+            await Review.updateProductRating(review.product);
+            return res.status(200).json({ success: true, message: "the review is deleted!" })
+        }
+        else {
+            return res.status(404).json({ success: false, message: "review not found!" })
+        }
+    }).catch(err => {
+        return res.status(400).json({ success: false, error: err })
+    })
+})
+
+module.exports = router;
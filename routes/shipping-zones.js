@@ -0,0 +1,229 @@
+const { ShippingZone } = require('../models/shipping-zone');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const SHIPPING_ZONE_FIELDS = ['name', 'countries', 'regions', 'basis', 'rates', 'currency', 'isActive'];
+
+function shippingZoneFields(body) {
+    const fields = {};
+    SHIPPING_ZONE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+async function saveShippingZone(zone, res) {
+    try {
+        res.send(await zone.save());
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError')
+            return res.status(400).send(err.message)
+        console.error('Failed to save shipping zone', err);
+        return res.status(500).send('the shipping zone could not be saved')
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingZone:
+ *       type: object
+ *       required:
+ *         - name
+ *         - basis
+ *         - rates
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Domestic"
+ *         countries:
+ *           type: array
+ *           description: Matched case-insensitively with the order's country; empty for every address no other zone covers
+ *           items:
+ *             type: string
+ *           example: ["VN"]
+ *         regions:
+ *           type: array
+ *           description: Only these regions of the countries, empty for all of them
+ *           items:
+ *             type: string
+ *         basis:
+ *           type: string
+ *           enum: [weight, orderValue]
+ *           description: Rates are picked by total weight in grams, or by order value after discounts in minor units
+ *         rates:
+ *           type: array
+ *           description: Brackets; the smallest upTo the order fits in is charged
+ *           items:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Inclusive upper bound, null for no bound
+ *               price:
+ *                 type: integer
+ *                 description: Minor units of currency
+ *           example: [{ "upTo": 1000, "price": 300 }, { "upTo": 5000, "price": 800 }, { "upTo": null, "price": 1500 }]
+ *         currency:
+ *           type: string
+ *           description: Only orders in this currency use the zone
+ *           example: "USD"
+ *         isActive:
+ *           type: boolean
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipping zones
+ *   description: |
+ *     Shipping rate tables (Admin only). An order ships with the zone listing its region, else the
+ *     zone listing its country, else a zone without countries. Once any zone exists, orders to
+ *     addresses no zone covers are refused; without zones, shipping is not charged.
+ */
+
+/**
+ * @swagger
+ * /shipping-zones:
+ *   get:
+ *     summary: List shipping zones (Admin only)
+ *     tags: [Shipping zones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShippingZone'
+ */
+router.get('/', async (req, res) => {
+    const zoneList = await ShippingZone.find().sort({ dateCreated: 1 });
+    if (!zoneList) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(zoneList);
+})
+
+/**
+ * @swagger
+ * /shipping-zones:
+ *   post:
+ *     summary: Create a shipping zone (Admin only)
+ *     tags: [Shipping zones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingZone'
+ *       400:
+ *         description: Invalid shipping zone
+ */
+router.post('/', async (req, res) => {
+    await saveShippingZone(new ShippingZone(shippingZoneFields(req.body)), res);
+})
+
+/**
+ * @swagger
+ * /shipping-zones/{id}:
+ *   put:
+ *     summary: Update a shipping zone (Admin only)
+ *     description: Orders already placed keep the shipping they were charged. rates replaces all rates.
+ *     tags: [Shipping zones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingZone'
+ *       400:
+ *         description: Invalid shipping zone
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.put('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Shipping Zone Id')
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone)
+        return res.status(404).send('shipping zone not found!')
+
+    zone.set(shippingZoneFields(req.body));
+    await saveShippingZone(zone, res);
+})
+
+/**
+ * @swagger
+ * /shipping-zones/{id}:
+ *   delete:
+ *     summary: Delete a shipping zone (Admin only)
+ *     tags: [Shipping zones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.delete('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).json({ success: false, message: 'Invalid Shipping Zone Id' })
+    const zone = await ShippingZone.findByIdAndRemove(req.params.id);
+    if (!zone)
+        return res.status(404).json({ success: false, message: 'shipping zone not found!' })
+    res.status(200).json({ success: true, message: 'the shipping zone is deleted!' })
+})
+
+module.exports = router;
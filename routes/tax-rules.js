@@ -0,0 +1,227 @@
+const { TaxRule } = require('../models/tax-rule');
+const { Category } = require('../models/category');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const TAX_RULE_FIELDS = ['name', 'country', 'region', 'category', 'rate', 'appliesToShipping', 'isActive'];
+
+function taxRuleFields(body) {
+    const fields = {};
+    TAX_RULE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (fields.category === '') fields.category = null;
+    return fields;
+}
+
+async function saveTaxRule(rule, res) {
+    if (rule.category) {
+        const category = await Category.exists({ _id: rule.category });
+        if (!category)
+            return res.status(400).send('Invalid Category')
+    }
+    try {
+        res.send(await rule.save());
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError')
+            return res.status(400).send(err.message)
+        console.error('Failed to save tax rule', err);
+        return res.status(500).send('the tax rule could not be saved')
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - country
+ *         - rate
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "VAT"
+ *         country:
+ *           type: string
+ *           description: Matched case-insensitively with the order's country
+ *           example: "VN"
+ *         region:
+ *           type: string
+ *           description: Only orders to this region, empty for the whole country
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Only products of this category and its subcategories, null for all products
+ *         rate:
+ *           type: number
+ *           description: Percent
+ *           example: 10
+ *         appliesToShipping:
+ *           type: boolean
+ *           description: Also tax shipping; only used on rules without a category
+ *         isActive:
+ *           type: boolean
+ *         dateCreated:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tax rules
+ *   description: |
+ *     Tax charged on orders (Admin only). Each order line is taxed by the most specific rule
+ *     for the shipping address: a region rule beats a country rule, then a rule for the line's
+ *     category beats one for a parent category or for all products.
+ */
+
+/**
+ * @swagger
+ * /tax-rules:
+ *   get:
+ *     summary: List tax rules (Admin only)
+ *     tags: [Tax rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rules by country and region
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRule'
+ */
+router.get('/', async (req, res) => {
+    const filter = req.query.country ? { country: String(req.query.country).trim().toUpperCase() } : {};
+    const ruleList = await TaxRule.find(filter).sort({ country: 1, region: 1, dateCreated: 1 });
+    if (!ruleList) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(ruleList);
+})
+
+/**
+ * @swagger
+ * /tax-rules:
+ *   post:
+ *     summary: Create a tax rule (Admin only)
+ *     tags: [Tax rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRule'
+ *       400:
+ *         description: Invalid tax rule
+ */
+router.post('/', async (req, res) => {
+    await saveTaxRule(new TaxRule(taxRuleFields(req.body)), res);
+})
+
+/**
+ * @swagger
+ * /tax-rules/{id}:
+ *   put:
+ *     summary: Update a tax rule (Admin only)
+ *     description: Orders already placed keep the tax they were charged.
+ *     tags: [Tax rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRule'
+ *       400:
+ *         description: Invalid tax rule
+ *       404:
+ *         description: Tax rule not found
+ */
+router.put('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).send('Invalid Tax Rule Id')
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule)
+        return res.status(404).send('tax rule not found!')
+
+    rule.set(taxRuleFields(req.body));
+    await saveTaxRule(rule, res);
+})
+
+/**
+ * @swagger
+ * /tax-rules/{id}:
+ *   delete:
+ *     summary: Delete a tax rule (Admin only)
+ *     tags: [Tax rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Tax rule not found
+ */
+router.delete('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id))
+        return res.status(400).json({ success: false, message: 'Invalid Tax Rule Id' })
+    const rule = await TaxRule.findByIdAndRemove(req.params.id);
+    if (!rule)
+        return res.status(404).json({ success: false, message: 'tax rule not found!' })
+    res.status(200).json({ success: true, message: 'the tax rule is deleted!' })
+})
+
+module.exports = router;
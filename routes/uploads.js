@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { findOrphanedUploads, purgeOrphanedUploads } = require('../helpers/product-files');
+
+// files younger than this are left alone by default, see findOrphanedUploads
+const DEFAULT_MIN_AGE_MINUTES = 60;
+
+function minAgeMinutes(req) {
+    const value = req.query.minAgeMinutes;
+    if (value === undefined) return DEFAULT_MIN_AGE_MINUTES;
+    const minutes = Number(value);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Uploads
+ *   description: Uploaded file maintenance APIs (Admin only)
+ */
+
+/**
+ * @swagger
+ * /uploads/orphans:
+ *   get:
+ *     summary: List uploaded files no product references (Admin only)
+ *     description: Only image renditions uploaded through the API are considered; other files in the storage are left alone.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: minAgeMinutes
+ *         schema:
+ *           type: number
+ *           default: 60
+ *         description: Ignore files uploaded more recently than this
+ *     responses:
+ *       200:
+ *         description: Orphaned files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: number
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid minAgeMinutes
+ */
+router.get('/orphans', async (req, res) => {
+    const minutes = minAgeMinutes(req);
+    if (minutes === null)
+        return res.status(400).send('Invalid minAgeMinutes')
+
+    const orphans = await findOrphanedUploads(minutes);
+    res.send({ count: orphans.length, files: orphans.map(file => file.key) });
+})
+
+/**
+ * @swagger
+ * /uploads/orphans:
+ *   delete:
+ *     summary: Delete uploaded files no product references (Admin only)
+ *     description: Only image renditions uploaded through the API are considered; other files in the storage are left alone.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: minAgeMinutes
+ *         schema:
+ *           type: number
+ *           default: 60
+ *         description: Keep files uploaded more recently than this
+ *     responses:
+ *       200:
+ *         description: Files deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid minAgeMinutes
+ */
+router.delete('/orphans', async (req, res) => {
+    const minutes = minAgeMinutes(req);
+    if (minutes === null)
+        return res.status(400).send('Invalid minAgeMinutes')
+
+    const purged = await purgeOrphanedUploads(minutes);
+    res.send({ success: true, count: purged.length, files: purged.map(file => file.key) });
+})
+
+module.exports = router;
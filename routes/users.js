@@ -1,4 +1,6 @@
 const {User} = require('../models/user');
+const { WishlistItem } = require('../models/wishlist-item');
+const { CART_TOKEN_HEADER, mergeGuestCart } = require('../helpers/cart');
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
@@ -86,6 +88,9 @@ const jwt = require('jsonwebtoken');
  *           type: string
  *           description: User password
  *           example: "password123"
+ *         cartToken:
+ *           type: string
+ *           description: Guest cart to merge into the user's cart, may also be sent in X-Cart-Token
  *     LoginResponse:
  *       type: object
  *       properties:
@@ -437,6 +442,7 @@ router.post('/login', async(req,res) =>{
             secret,
             {expiresIn: '1d'}
         )
+        await mergeGuestCart(req.body.cartToken || req.get(CART_TOKEN_HEADER), user.id);
         return res.status(200).send({ user: user.email, token: token });
     }else{
         return res.status(400).send('Password is wrong');
@@ -480,6 +486,60 @@ router.get(`/get/count`, async (req, res) => {
     });
 });
 
+/**
+ * @swagger
+ * /users/get/wishlisted:
+ *   get:
+ *     summary: How many users wishlisted each product (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Products by number of users, most wishlisted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   users:
+ *                     type: number
+ *                   lastAdded:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get(`/get/wishlisted`, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const products = await WishlistItem.aggregate([
+        // a user who saved several variants of a product counts once
+        { $group: { _id: '$product', users: { $addToSet: '$user' }, lastAdded: { $max: '$dateAdded' } } },
+        { $project: { users: { $size: '$users' }, lastAdded: 1 } },
+        { $sort: { users: -1, lastAdded: -1 } },
+        { $limit: limit },
+        { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } }
+    ]);
+
+    res.send(products.map(entry => ({
+        product: entry._id,
+        name: entry.product.length ? entry.product[0].name : null,
+        users: entry.users,
+        lastAdded: entry.lastAdded
+    })));
+});
+
 /**
  * @swagger
  * /users/{id}:
@@ -0,0 +1,262 @@
+const { WishlistItem } = require('../models/wishlist-item');
+const { Product } = require('../models/product');
+const { User } = require('../models/user');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { placeOrder } = require('../helpers/orders');
+const { localizeProduct } = require('../helpers/locale');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WishlistItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           $ref: '#/components/schemas/Product'
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *           description: Variant ID, when a variant was picked
+ *         available:
+ *           type: boolean
+ *           description: Whether the product can currently be ordered
+ *         dateAdded:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wishlist
+ *   description: Products the signed-in user saved for later
+ */
+
+async function findOwnItem(req) {
+    if (!mongoose.isValidObjectId(req.params.itemId)) return null;
+    return WishlistItem.findOne({ _id: req.params.itemId, user: req.user.userId });
+}
+
+/**
+ * @swagger
+ * /users/me/wishlist:
+ *   get:
+ *     summary: Get the wishlist
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist items, newest first. Items of deleted products are left out.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WishlistItem'
+ */
+router.get('/', async (req, res) => {
+    const items = await WishlistItem.find({ user: req.user.userId })
+        .populate({ path: 'product', populate: 'category' })
+        .sort({ dateAdded: -1 });
+
+    if (!items) {
+        return res.status(500).json({ success: false })
+    }
+    res.send(items
+        .filter(item => item.product)
+        .map(item => {
+            const variant = item.variant ? item.product.findVariant(item.variant) : null;
+            const stock = variant ? variant.countInStock : item.product.countInStock;
+            return {
+                ...item.toJSON(),
+                product: localizeProduct(item.product, req.locale),
+                available: item.product.isLive() && (!item.variant || Boolean(variant)) && stock > 0
+            };
+        }));
+})
+
+/**
+ * @swagger
+ * /users/me/wishlist:
+ *   post:
+ *     summary: Add a product to the wishlist
+ *     description: Adding a product (or variant) that is already on the wishlist returns the existing item.
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID or SKU
+ *     responses:
+ *       200:
+ *         description: Wishlist item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WishlistItem'
+ *       400:
+ *         description: Invalid product
+ *       404:
+ *         description: Product or variant not found
+ */
+router.post('/', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.body.product))
+        return res.status(400).send('Invalid Product Id')
+    const product = await Product.findById(req.body.product);
+    if (!product || !product.isLive())
+        return res.status(404).send('product not found!')
+
+    let variant = null;
+    if (req.body.variant) {
+        variant = product.findVariant(req.body.variant);
+        if (!variant)
+            return res.status(404).send('variant not found!')
+    }
+
+    const key = { user: req.user.userId, product: product._id, variant: variant ? variant._id : null };
+    const item = await WishlistItem.findOneAndUpdate(key, { $setOnInsert: key }, { new: true, upsert: true });
+    res.send(item);
+})
+
+/**
+ * @swagger
+ * /users/me/wishlist/{itemId}:
+ *   delete:
+ *     summary: Remove an item from the wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item removed
+ *       404:
+ *         description: Item not on the wishlist
+ */
+router.delete('/:itemId', async (req, res) => {
+    const item = await findOwnItem(req);
+    if (!item)
+        return res.status(404).json({ success: false, message: 'wishlist item not found!' })
+
+    await item.remove();
+    res.status(200).json({ success: true, message: 'the wishlist item is removed!' })
+})
+
+/**
+ * @swagger
+ * /users/me/wishlist/{itemId}/order:
+ *   post:
+ *     summary: Order a wishlist item
+ *     description: |
+ *       Creates an order for the item and removes it from the wishlist. Address fields default to the
+ *       address on the user's profile. A variant is required for products with variants when none was saved.
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID or SKU, overrides the saved one
+ *               shippingAddress1:
+ *                 type: string
+ *               shippingAddress2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               zip:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: The order cannot be created, e.g. the product is out of stock or shipping details are missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderLineErrors'
+ *       404:
+ *         description: Item not on the wishlist
+ */
+router.post('/:itemId/order', async (req, res) => {
+    const item = await findOwnItem(req);
+    if (!item)
+        return res.status(404).json({ success: false, message: 'wishlist item not found!' })
+    const user = await User.findById(req.user.userId);
+
+    const orderItem = {
+        product: item.product,
+        variant: req.body.variant || item.variant,
+        quantity: req.body.quantity === undefined ? 1 : req.body.quantity
+    };
+    const result = await placeOrder([orderItem], {
+        shippingAddress1: req.body.shippingAddress1 || (user && user.street),
+        shippingAddress2: req.body.shippingAddress2 || (user && user.apartment),
+        city: req.body.city || (user && user.city),
+        zip: req.body.zip || (user && user.zip),
+        country: req.body.country || (user && user.country),
+        region: req.body.region,
+        phone: req.body.phone,
+        user: req.user.userId
+    }, { actor: req.user.userId });
+    if (result.errors)
+        return res.status(400).json({ success: false, message: 'the order cannot be created!', errors: result.errors })
+    if (result.error)
+        return res.status(400).send(result.error)
+
+    await WishlistItem.deleteOne({ _id: item._id });
+    res.send(result.order);
+})
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// One-off migration from decimal prices (product `price` stored as a String,
+// order `totalPrice` as a float) to integer minor units with a currency code.
+//
+//   node scripts/migrate-prices.js [--dry-run]
+//
+// Documents that already have a `currency` field are considered migrated, so
+// the script can safely be run more than once. Amounts are interpreted in
+// DEFAULT_CURRENCY (USD unless set in .env).
+const mongoose = require('mongoose');
+require('dotenv/config');
+const money = require('../helpers/money');
+const { Product } = require('../models/product');
+const { Order } = require('../models/order');
+
+const dryRun = process.argv.includes('--dry-run');
+const currency = money.DEFAULT_CURRENCY;
+
+function convert(amount) {
+    if (amount === undefined || amount === null || amount === '') return 0;
+    return money.toMinorUnits(typeof amount === 'string' ? amount : Number(amount), currency);
+}
+
+async function migrateProducts() {
+    const cursor = Product.collection.find({ currency: { $exists: false } });
+    let count = 0;
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+        const update = { price: convert(doc.price), currency };
+        if (Array.isArray(doc.variants)) {
+            doc.variants.forEach((variant, index) => {
+                update[`variants.${index}.price`] = convert(variant.price);
+            });
+        }
+        console.log(`product ${doc._id}: ${JSON.stringify(doc.price)} -> ${update.price} ${currency}`);
+        if (!dryRun) await Product.collection.updateOne({ _id: doc._id }, { $set: update });
+        count++;
+    }
+    return count;
+}
+
+async function migrateOrders() {
+    const cursor = Order.collection.find({ currency: { $exists: false } });
+    let count = 0;
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+        const totalPrice = convert(doc.totalPrice);
+        console.log(`order ${doc._id}: ${doc.totalPrice} -> ${totalPrice} ${currency}`);
+        if (!dryRun) await Order.collection.updateOne({ _id: doc._id }, { $set: { totalPrice, currency } });
+        count++;
+    }
+    return count;
+}
+
+async function main() {
+    await mongoose.connect(process.env.CONNECT_STRING, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        dbName: 'eshop-database'
+    });
+    const products = await migrateProducts();
+    const orders = await migrateOrders();
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${products} products and ${orders} orders`);
+}
+
+main()
+    .catch(err => {
+        console.error('Price migration failed', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
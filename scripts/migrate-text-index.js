@@ -0,0 +1,41 @@
+// Replace the products' text index with the one declared on the schema, which
+// also covers translated names and descriptions. MongoDB allows a single text
+// index per collection, so the old one has to be dropped before the new one
+// can be built.
+//
+//   node scripts/migrate-text-index.js [--dry-run]
+//
+// Running it again once the index is up to date changes nothing.
+const mongoose = require('mongoose');
+require('dotenv/config');
+const { Product } = require('../models/product');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+    await mongoose.connect(process.env.CONNECT_STRING, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        dbName: 'eshop-database',
+        autoIndex: false
+    });
+    const [, options] = Product.schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+    const indexes = await Product.collection.indexes();
+    const outdated = indexes.filter(index => index.textIndexVersion && index.name !== options.name);
+
+    for (const index of outdated) {
+        console.log(`${dryRun ? 'Would drop' : 'Dropping'} text index ${index.name}`);
+        if (!dryRun) await Product.collection.dropIndex(index.name);
+    }
+    if (!indexes.some(index => index.name === options.name)) {
+        console.log(`${dryRun ? 'Would build' : 'Building'} text index ${options.name}`);
+        if (!dryRun) await Product.createIndexes();
+    }
+}
+
+main()
+    .catch(err => {
+        console.error('Text index migration failed', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());